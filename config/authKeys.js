@@ -0,0 +1,87 @@
+import jwt from "jsonwebtoken";
+import dotenv from "dotenv";
+
+dotenv.config();
+
+const ALGORITHM = "HS256";
+
+/**
+ * Load the JWT signing keys
+ *
+ * JWT_KEYS is a JSON object of kid -> secret, and JWT_ACTIVE_KID names the
+ * key used for new tokens. The other keys stay valid for verification, so
+ * a secret can be rotated by adding a new kid, making it active, and
+ * removing the old one once its tokens have expired.
+ *
+ * A lone JWT_SECRET is accepted as a single key with kid "default".
+ */
+const loadKeys = () => {
+  const keys = new Map();
+
+  if (process.env.JWT_KEYS) {
+    let parsed;
+    try {
+      parsed = JSON.parse(process.env.JWT_KEYS);
+    } catch (error) {
+      throw new Error("JWT_KEYS must be a JSON object of kid -> secret");
+    }
+    Object.entries(parsed || {}).forEach(([kid, secret]) => {
+      if (typeof secret === "string" && secret.length > 0) {
+        keys.set(kid, secret);
+      }
+    });
+  } else if (process.env.JWT_SECRET) {
+    keys.set("default", process.env.JWT_SECRET);
+  }
+
+  if (keys.size === 0) {
+    throw new Error(
+      "No JWT keys configured. Set JWT_KEYS (with JWT_ACTIVE_KID) or JWT_SECRET."
+    );
+  }
+
+  const activeKid =
+    process.env.JWT_ACTIVE_KID ||
+    (keys.size === 1 ? keys.keys().next().value : null);
+
+  if (!activeKid || !keys.has(activeKid)) {
+    throw new Error("JWT_ACTIVE_KID must name one of the keys in JWT_KEYS");
+  }
+
+  return { keys, activeKid };
+};
+
+const { keys, activeKid } = loadKeys();
+
+/**
+ * Sign a token with the active key
+ */
+export const signToken = (payload, options = {}) =>
+  jwt.sign(payload, keys.get(activeKid), {
+    ...options,
+    algorithm: ALGORITHM,
+    keyid: activeKid,
+  });
+
+/**
+ * Verify a token with the key named in its header
+ *
+ * Throws like jwt.verify when the token is invalid, expired or signed with
+ * an unknown key.
+ */
+export const verifyToken = (token, options = {}) => {
+  const decoded = jwt.decode(token, { complete: true });
+  // Tokens issued before kids were introduced carry none
+  const kid = decoded?.header?.kid || "default";
+
+  if (!keys.has(kid)) {
+    throw new jwt.JsonWebTokenError("Unknown signing key");
+  }
+
+  return jwt.verify(token, keys.get(kid), {
+    ...options,
+    algorithms: [ALGORITHM],
+  });
+};
+
+export default { signToken, verifyToken };
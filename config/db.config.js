@@ -1,4 +1,5 @@
 import mongoose from "mongoose";
+import { logger } from "../utils/logger.js";
 
 import dotenv from "dotenv";
 dotenv.config();
@@ -7,9 +8,9 @@ const dbConfig = async () => {
   const mongoURI = process.env.MONGODB_URI;
   try {
     await mongoose.connect(mongoURI);
-    console.log("Connected to MongoDB successfully");
+    logger.info("connected to MongoDB");
   } catch (error) {
-    console.error("Error connecting to MongoDB:", error);
+    logger.error("error connecting to MongoDB", { error });
     process.exit(1);
   }
 };
@@ -0,0 +1,77 @@
+import dotenv from "dotenv";
+
+dotenv.config();
+
+const SECOND = 1000;
+const MINUTE = 60 * SECOND;
+
+/**
+ * Rate limit rules, keyed by route name or socket event
+ *
+ * `limit` requests are allowed per `windowMs` in each bucket. `per` lists
+ * the buckets to count in: "user" (authenticated user), "ip" (client
+ * address), "account" (the email a login or reset is attempted for) and
+ * "ipAccount" (that email from one address). Logins count per ipAccount
+ * rather than per account, so failed attempts from elsewhere cannot lock
+ * the owner of an email out.
+ * A request is refused as soon as any of its buckets is full.
+ *
+ * RATE_LIMITS can override entries with JSON, e.g.
+ * {"send-message":{"limit":60,"windowMs":10000}}
+ */
+const defaultRateLimits = {
+  // REST routes
+  api: { limit: 300, windowMs: MINUTE, per: ["ip"] },
+  "auth:login": {
+    limit: 10,
+    windowMs: 15 * MINUTE,
+    per: ["ip", "ipAccount"],
+  },
+  "auth:2fa": { limit: 10, windowMs: 15 * MINUTE, per: ["ip"] },
+  "auth:2fa-user": { limit: 5, windowMs: 15 * MINUTE, per: ["user"] },
+  "auth:register": { limit: 5, windowMs: 60 * MINUTE, per: ["ip"] },
+  "auth:refresh": { limit: 30, windowMs: 15 * MINUTE, per: ["ip"] },
+  "auth:email": { limit: 5, windowMs: 60 * MINUTE, per: ["ip", "account"] },
+  "messages:send": { limit: 60, windowMs: MINUTE, per: ["user"] },
+  "attachments:upload": { limit: 20, windowMs: MINUTE, per: ["user"] },
+  "groups:create": { limit: 10, windowMs: MINUTE, per: ["user"] },
+  "groups:join": { limit: 10, windowMs: MINUTE, per: ["user", "ip"] },
+  "messages:sync": { limit: 20, windowMs: MINUTE, per: ["user"] },
+  "webhooks:create": { limit: 10, windowMs: MINUTE, per: ["user"] },
+
+  // Socket events
+  "send-message": { limit: 30, windowMs: 10 * SECOND, per: ["user"] },
+  "send-group-message": { limit: 30, windowMs: 10 * SECOND, per: ["user"] },
+  typing: { limit: 20, windowMs: 10 * SECOND, per: ["user"] },
+  "stop-typing": { limit: 20, windowMs: 10 * SECOND, per: ["user"] },
+  "group-typing": { limit: 20, windowMs: 10 * SECOND, per: ["user"] },
+  "group-stop-typing": { limit: 20, windowMs: 10 * SECOND, per: ["user"] },
+  "create-group": { limit: 5, windowMs: MINUTE, per: ["user", "ip"] },
+  "edit-message": { limit: 30, windowMs: 10 * SECOND, per: ["user"] },
+  "delete-message": { limit: 30, windowMs: 10 * SECOND, per: ["user"] },
+  "add-reaction": { limit: 30, windowMs: 10 * SECOND, per: ["user"] },
+  "remove-reaction": { limit: 30, windowMs: 10 * SECOND, per: ["user"] },
+  sync: { limit: 20, windowMs: MINUTE, per: ["user"] },
+};
+
+const loadOverrides = () => {
+  if (!process.env.RATE_LIMITS) {
+    return {};
+  }
+  try {
+    return JSON.parse(process.env.RATE_LIMITS);
+  } catch (error) {
+    throw new Error("RATE_LIMITS must be a JSON object of name -> rule");
+  }
+};
+
+const overrides = loadOverrides();
+
+export const rateLimits = Object.fromEntries(
+  Object.keys({ ...defaultRateLimits, ...overrides }).map((name) => [
+    name,
+    { per: ["user"], ...defaultRateLimits[name], ...overrides[name] },
+  ])
+);
+
+export default rateLimits;
@@ -1,100 +1,237 @@
-import jwt from "jsonwebtoken";
 import User from "../models/User.js";
-import Message from "../models/Message.js";
+import { verifyToken } from "./authKeys.js";
 import Group from "../models/Group.js";
-
-const JWT_SECRET = process.env.JWT_SECRET;
-
-// Store online users
-const onlineUsers = new Map();
+import {
+  editMessage,
+  deleteMessage,
+  reactToMessage,
+  emitMessageChange,
+} from "../utils/messageActions.js";
+import { markGroupRead } from "../utils/readReceipts.js";
+import { markConversationRead } from "../utils/delivery.js";
+import { syncMissed } from "../utils/sync.js";
+import {
+  sendDirectMessage,
+  sendGroupMessage,
+} from "../utils/messageService.js";
+import { getPresenceStore } from "../services/realtime/index.js";
+import { isSessionActive, sessionRoom } from "../utils/sessions.js";
+import { consumeRateLimit } from "../services/rateLimit/index.js";
+import { validateSocketPayload } from "../middleware/validate.js";
+import { socketSchemas } from "../schemas/socket.js";
+import {
+  logger,
+  createRequestId,
+  runWithRequestId,
+  getRequestId,
+} from "../utils/logger.js";
+import { ErrorCodes, codeForStatus } from "../utils/errors.js";
+import {
+  isBlockedBetween,
+  getHiddenUserIds,
+  findUsersBlocking,
+  emitOnlineUsers,
+} from "../utils/blocks.js";
+import { emitGroupCreated } from "../utils/groupEvents.js";
+import { leaveGroup } from "../utils/groups.js";
 
 // Get online users
-// export const getOnlineUsers = () => {
-//   return Array.from(onlineUsers.keys());
-// };
+// Presence lives in a store shared by all server nodes (see
+// services/realtime), so this resolves asynchronously
 export const getOnlineUsers = () => {
-  return Array.from(onlineUsers.keys());
+  return getPresenceStore().getOnlineUsers();
+};
+// Handshake errors reach the client's connect_error with `data.code`
+const authError = (message) => {
+  const error = new Error(message);
+  error.data = { code: ErrorCodes.UNAUTHORIZED };
+  return error;
 };
+
 // Socket authentication middleware
 export const socketAuthMiddleware = async (socket, next) => {
   try {
     const token = socket.handshake.auth.token;
 
     if (!token) {
-      return next(new Error("Authentication error"));
+      return next(authError("Authentication error"));
     }
     // console.log("token ", token);
 
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    const decoded = verifyToken(token);
+
+    if (!(await isSessionActive(decoded.sid, decoded.userId))) {
+      return next(authError("Session expired or revoked"));
+    }
 
     const user = await User.findById(decoded.userId);
 
     if (!user) {
-      return next(new Error("User not Found"));
+      return next(authError("User not Found"));
     }
 
     socket.userId = user._id.toString();
     socket.username = user.username;
+    socket.sessionId = decoded.sid;
     next();
   } catch (error) {
-    next(new Error("Authorization error"));
+    next(authError("Authorization error"));
   }
 };
 
 // Socket event handlers
 export const setupSocketHandlers = (io) => {
   io.on("connection", async (socket) => {
-    console.log(`User connected: ${socket.username} (${socket.userId})`);
+    logger.info("user connected", {
+      userId: socket.userId,
+      socketId: socket.id,
+    });
+
+    const presence = getPresenceStore();
+
+    /**
+     * Report a failed event to the client
+     *
+     * Sends `{ code, message, event, requestId, ...details }` as an "error"
+     * event (or `name`), and to the event's ack with `success: false`.
+     */
+    const sendError = (event, ack, { code, message, ...details }, name) => {
+      const envelope = {
+        code,
+        message,
+        event,
+        requestId: getRequestId(),
+        ...details,
+      };
+      socket.emit(name || "error", envelope);
+      if (ack) {
+        ack({ success: false, error: message, ...envelope });
+      }
+    };
 
-    // Add user to online users
-    onlineUsers.set(socket.userId, socket.id);
-    try {
-      const groups = await Group.find({ members: socket.userId });
+    // Errors returned by the message and receipt helpers as
+    // { error, status, code? }
+    const resultError = (result) => ({
+      code: result.code || codeForStatus(result.status || 400),
+      message: result.error,
+    });
 
-      groups.forEach((group) => {
-        socket.join(group._id.toString());
+    // Unexpected failures are logged; the client only gets `message`
+    const internalError = (event, ack, error, message) => {
+      logger.error(`error handling ${event}`, {
+        error,
+        userId: socket.userId,
       });
-    } catch (error) {
-      console.error("Error joining group rooms:", error);
-    }
+      sendError(event, ack, { code: ErrorCodes.INTERNAL_ERROR, message });
+    };
+
+    // Each event gets its own request ID, then is rate limited and
+    // validated before it reaches a handler
+    socket.use((packet, next) =>
+      runWithRequestId(createRequestId(), async () => {
+        const [event] = packet;
+        const callback = packet[packet.length - 1];
+        const ack = typeof callback === "function" ? callback : null;
+
+        try {
+          const limit = await consumeRateLimit(event, {
+            user: socket.userId,
+            ip: socket.handshake.address,
+          });
+          if (!limit.allowed) {
+            return sendError(
+              event,
+              ack,
+              {
+                code: ErrorCodes.RATE_LIMITED,
+                message: "Too many requests, please try again later",
+                retryAfter: limit.retryAfter,
+              },
+              "rate-limited"
+            );
+          }
 
-    // Update user online status
-    User.findByIdAndUpdate(socket.userId, { isOnline: true }).exec();
+          if (socketSchemas[event]) {
+            const invalid = validateSocketPayload(socketSchemas[event], packet);
+            if (invalid.error) {
+              return sendError(event, ack, {
+                code: ErrorCodes.VALIDATION_FAILED,
+                message: invalid.error,
+                fields: invalid.fields,
+              });
+            }
+          }
 
-    // Emit online users to all clients
-    io.emit("online-users", Array.from(onlineUsers.keys()));
+          next();
+        } catch (error) {
+          internalError(event, ack, error, "Failed to process event");
+        }
+      })
+    );
 
-    // Join user's personal room
+    // Join user's personal room, shared by all of the user's connections
     socket.join(socket.userId);
 
-    // Handle sending messages
-    socket.on("send-message", async (data) => {
+    // Join the session room so revoking the session disconnects this socket
+    socket.join(sessionRoom(socket.sessionId));
+
+    // Presence and group rooms are set up in the background: the event
+    // handlers below must be registered before the first await, since the
+    // client may emit (e.g. "sync" after a reconnect) as soon as it is
+    // connected. Handlers that rely on the setup wait for `ready`.
+    const ready = (async () => {
+      // Add user to online users
+      let isFirstConnection = false;
       try {
-        const { receiverId, content, messageType } = data;
+        isFirstConnection = await presence.addConnection(
+          socket.userId,
+          socket.id
+        );
+      } catch (error) {
+        logger.error("error recording presence", { error });
+      }
 
-        // Save message to database
-        const message = new Message({
-          sender: socket.userId,
-          receiver: receiverId,
-          content,
-          messageType: messageType || "text",
+      try {
+        const groups = await Group.find({ members: socket.userId });
+
+        groups.forEach((group) => {
+          socket.join(group._id.toString());
         });
+      } catch (error) {
+        logger.error("error joining group rooms", { error });
+      }
+
+      if (isFirstConnection) {
+        // Update user online status
+        User.findByIdAndUpdate(socket.userId, { isOnline: true }).exec();
 
-        await message.save();
-        await message.populate("sender", "username avatar");
-        await message.populate("receiver", "username avatar");
+        // Emit online users to all clients (minus blocked users)
+        await emitOnlineUsers(io);
+      } else {
+        // Other sessions already announced the user; just sync them
+        await emitOnlineUsers(io, socket.userId);
+      }
+    })().catch((error) =>
+      logger.error("error setting up connection", { error })
+    );
 
-        // Send to receiver if online
-        const receiverSocketId = onlineUsers.get(receiverId);
-        if (receiverSocketId) {
-          io.to(receiverSocketId).emit("receive-message", message);
+    // Handle sending messages
+    // The optional callback acknowledges that the message was stored
+    socket.on("send-message", async (data, callback) => {
+      const ack = typeof callback === "function" ? callback : null;
+      try {
+        const result = await sendDirectMessage(io, {
+          senderId: socket.userId,
+          ...data,
+        });
+
+        if (result.error) {
+          return sendError("send-message", ack, resultError(result));
         }
 
-        // Send back to sender for confirmation
-        socket.emit("sent-message", message);
+        ack?.({ success: true, message: result.message });
       } catch (error) {
-        console.error("Error sending message:", error);
-        socket.emit("error", { message: "Failed to send message" });
+        internalError("send-message", ack, error, "Failed to send message");
       }
     });
 
@@ -129,151 +266,265 @@ export const setupSocketHandlers = (io) => {
     //   }
     // });
 
+    // Handle message edits
+    socket.on("edit-message", async ({ messageId, content } = {}) => {
+      try {
+        const result = await editMessage({
+          messageId,
+          userId: socket.userId,
+          content,
+        });
+
+        if (result.error) {
+          return sendError("edit-message", null, resultError(result));
+        }
+
+        emitMessageChange(io, "message-edited", result, socket.userId);
+      } catch (error) {
+        internalError("edit-message", null, error, "Failed to edit message");
+      }
+    });
+
+    // Handle message deletion ("me" or "everyone")
+    socket.on("delete-message", async ({ messageId, scope } = {}) => {
+      try {
+        const result = await deleteMessage({
+          messageId,
+          userId: socket.userId,
+          scope,
+        });
+
+        if (result.error) {
+          return sendError("delete-message", null, resultError(result));
+        }
+
+        emitMessageChange(io, "message-deleted", result, socket.userId);
+      } catch (error) {
+        internalError(
+          "delete-message",
+          null,
+          error,
+          "Failed to delete message"
+        );
+      }
+    });
+
+    // Handle emoji reactions
+    const handleReaction =
+      (action) =>
+      async ({ messageId, emoji } = {}) => {
+        try {
+          const result = await reactToMessage({
+            messageId,
+            userId: socket.userId,
+            emoji,
+            action,
+          });
+
+          if (result.error) {
+            return sendError(`${action}-reaction`, null, resultError(result));
+          }
+
+          emitMessageChange(io, "reaction-updated", result, socket.userId);
+        } catch (error) {
+          internalError(
+            `${action}-reaction`,
+            null,
+            error,
+            "Failed to update reaction"
+          );
+        }
+      };
+
+    socket.on("add-reaction", handleReaction("add"));
+    socket.on("remove-reaction", handleReaction("remove"));
+
     // Handle typing indicator
-    socket.on("typing", (data) => {
-      const receiverSocketId = onlineUsers.get(data.receiverId);
-      if (receiverSocketId) {
-        // io.to(receiverSocketId).emit("user-typing", {
-        //   userId: socket.userId,
-        //   username: socket.username,
-        // });
-
-        io.to(receiverSocketId).emit("user-typing", {
+    // The receiver's personal room reaches them on any node; if they are
+    // offline the room is simply empty
+    // Typing events between blocked users are dropped silently
+    socket.on("typing", async (data) => {
+      // io.to(receiverSocketId).emit("user-typing", {
+      //   userId: socket.userId,
+      //   username: socket.username,
+      // });
+
+      try {
+        if (await isBlockedBetween(socket.userId, data.receiverId)) {
+          return;
+        }
+
+        io.to(data.receiverId).emit("user-typing", {
           userId: socket.userId,
           username: socket.username,
         });
+      } catch (error) {
+        logger.error("error handling typing", { error });
       }
     });
 
     // Handle stop typing;
 
-    socket.on("stop-typing", (data) => {
-      const receiverSocketId = onlineUsers.get(data.receiverId);
-      if (receiverSocketId) {
-        io.to(receiverSocketId).emit("user stop typing ", {
+    socket.on("stop-typing", async (data) => {
+      try {
+        if (await isBlockedBetween(socket.userId, data.receiverId)) {
+          return;
+        }
+
+        io.to(data.receiverId).emit("user stop typing ", {
           userId: socket.userId,
         });
+      } catch (error) {
+        logger.error("error handling stop typing", { error });
+      }
+    });
+
+    // Catch up after a reconnect: the callback receives the missed
+    // messages, changes and group membership (see utils/sync.js)
+    socket.on("sync", async (data, callback) => {
+      const ack = typeof callback === "function" ? callback : null;
+      try {
+        // Group rooms must be joined first, so nothing sent after
+        // `syncedAt` is missed
+        await ready;
+        const result = await syncMissed({ userId: socket.userId, ...data });
+        ack?.({ success: true, ...result });
+      } catch (error) {
+        internalError("sync", ack, error, "Failed to sync messages");
       }
     });
 
     // Handle message read
     socket.on("mark-read", async (data) => {
       try {
-        await Message.updateMany(
-          {
-            sender: data.senderId,
-            receiver: socket.userId,
-            isRead: false,
-          },
-          {
-            isRead: true,
-            readAt: new Date(),
-          }
-        );
+        // Notifies the sender that messages were read
+        await markConversationRead(io, {
+          readerId: socket.userId,
+          senderId: data.senderId,
+        });
+      } catch (error) {
+        internalError("mark-read", null, error, "Failed to mark messages read");
+      }
+    });
+
+    // Handle group read position updates
+    socket.on("mark-group-read", async ({ groupId, messageId } = {}) => {
+      try {
+        const isMember = await Group.exists({
+          _id: groupId,
+          members: socket.userId,
+        });
+        if (!isMember) {
+          return sendError("mark-group-read", null, {
+            code: ErrorCodes.FORBIDDEN,
+            message: "You are not a member of this group",
+          });
+        }
 
-        // Notify sender that messages were read
-        const senderSocketId = onlineUsers.get(data.senderId);
-        if (senderSocketId) {
-          io.to(senderSocketId).emit("messages-read", {
+        const result = await markGroupRead({
+          groupId,
+          userId: socket.userId,
+          messageId,
+        });
+
+        if (result.error) {
+          return sendError("mark-group-read", null, resultError(result));
+        }
+
+        // Notify the room so senders can update "seen by"
+        if (result.changed) {
+          io.to(groupId).emit("group-messages-read", {
+            groupId,
             readBy: socket.userId,
+            lastReadAt: result.receipt.lastReadAt,
+            lastReadMessage: result.receipt.lastReadMessage,
           });
         }
       } catch (error) {
-        console.error("Error marking messages as read:", error);
+        internalError(
+          "mark-group-read",
+          null,
+          error,
+          "Failed to mark messages read"
+        );
       }
     });
 
     // Handle user status request
-    socket.on("get-user-status", (data) => {
-      const { userId } = data;
-      const isOnline = onlineUsers.has(userId);
-      socket.emit("user-status", { userId, isOnline });
+    socket.on("get-user-status", async (data) => {
+      try {
+        const { userId } = data;
+        const hidden = await getHiddenUserIds(socket.userId);
+        const isOnline =
+          !hidden.has(userId) && (await presence.isOnline(userId));
+        socket.emit("user-status", { userId, isOnline });
+      } catch (error) {
+        internalError(
+          "get-user-status",
+          null,
+          error,
+          "Failed to get user status"
+        );
+      }
     });
 
     socket.on("create-group", async ({ name, members }) => {
       try {
-        // Validate inputs
-        if (!name || !members || !Array.isArray(members)) {
-          socket.emit("error", { message: "Invalid group data" });
-          return;
+        const blocking = await findUsersBlocking(socket.userId, members);
+        if (blocking.length > 0) {
+          return sendError("create-group", null, {
+            code: ErrorCodes.USER_BLOCKED,
+            message: "You cannot add users who have blocked you",
+            users: blocking,
+          });
         }
 
-        // Create the group with current user as admin
+        // Create the group with current user as owner
         const group = await Group.create({
           name,
           members: [...members, socket.userId], // Add creator to members
-          admins: [socket.userId], // Make creator an admin
+          owner: socket.userId, // Make creator the owner
+          admins: [socket.userId],
         });
 
         // Populate members data
         await group.populate("members", "username avatar");
         await group.populate("admins", "username avatar");
 
-        // Join the creator to the group room
-        socket.join(group._id.toString());
+        // Join every connection of each member (creator included) to the
+        // group room and emit to all of them
+        emitGroupCreated(io, group);
 
-        // Notify all members to join the group room
-        members.forEach((memberId) => {
-          const memberSocketId = onlineUsers.get(memberId);
-          if (memberSocketId) {
-            const memberSocket = io.sockets.sockets.get(memberSocketId);
-            if (memberSocket) {
-              memberSocket.join(group._id.toString());
-            }
-          }
+        logger.info("group created", {
+          groupId: group._id.toString(),
+          userId: socket.userId,
         });
-
-        // Emit to all members in the group room
-        io.to(group._id.toString()).emit("group-created", group);
-
-        // Also emit back to creator for confirmation
-        socket.emit("group-created", group);
-
-        console.log(`Group created: ${group.name} by ${socket.username}`);
       } catch (error) {
-        console.error("Error creating group:", error);
-        socket.emit("error", { message: "Failed to create group" });
+        internalError("create-group", null, error, "Failed to create group");
       }
     });
 
-    socket.on("send-group-message", async (data) => {
+    // The optional callback acknowledges that the message was stored
+    socket.on("send-group-message", async (data, callback) => {
+      const ack = typeof callback === "function" ? callback : null;
       try {
-        const { groupId, content, messageType } = data;
-
-        // Validate the group exists and user is a member
-        const group = await Group.findById(groupId);
-        if (!group) {
-          socket.emit("error", { message: "Group not found" });
-          return;
-        }
-
-        if (!group.members.includes(socket.userId)) {
-          socket.emit("error", {
-            message: "You are not a member of this group",
-          });
-          return;
-        }
-
-        // Create message - FIX: Use Message (capital M) not message
-        const message = new Message({
-          sender: socket.userId,
-          group: groupId,
-          content,
-          messageType: messageType || "text",
+        const result = await sendGroupMessage(io, {
+          senderId: socket.userId,
+          ...data,
         });
 
-        await message.save();
-        await message.populate("sender", "username avatar");
-
-        // Emit to all group members
-        io.to(groupId).emit("receive-group-messsage", message);
+        if (result.error) {
+          return sendError("send-group-message", ack, resultError(result));
+        }
 
-        console.log(
-          `Group message sent in ${group.name} by ${socket.username}`
-        );
+        ack?.({ success: true, message: result.message });
       } catch (error) {
-        console.error("Error sending group message:", error);
-        socket.emit("error", { message: "Failed to send message" });
+        internalError(
+          "send-group-message",
+          ack,
+          error,
+          "Failed to send message"
+        );
       }
     });
 
@@ -291,27 +542,51 @@ export const setupSocketHandlers = (io) => {
     });
 
     socket.on("leave-group", async ({ groupId }) => {
-      await Group.findByIdAndUpdate(groupId, {
-        $pull: { members: socket.userId },
-      });
+      try {
+        const group = await Group.findById(groupId);
+        if (!group) {
+          // Leave the room on every connection of this user
+          io.in(socket.userId).socketsLeave(groupId);
+          return;
+        }
 
-      socket.leave(groupId);
+        // An owner who leaves hands the group to the next member; the
+        // last one out deletes it
+        const result = await leaveGroup(io, group, socket.userId);
+        if (result.error) {
+          return sendError("leave-group", null, resultError(result));
+        }
+      } catch (error) {
+        internalError("leave-group", null, error, "Failed to leave group");
+      }
     });
 
     // Handle disconnect
     socket.on("disconnect", async () => {
-      console.log(`User disconnected: ${socket.username}`);
+      logger.info("user disconnected", {
+        userId: socket.userId,
+        socketId: socket.id,
+      });
 
-      onlineUsers.delete(socket.userId);
+      try {
+        await ready;
 
-      // Update user offline status
-      await User.findByIdAndUpdate(socket.userId, {
-        isOnline: false,
-        lastSeen: new Date(),
-      });
+        // Other tabs or devices, on any node, keep the user online
+        if (!(await presence.removeConnection(socket.userId, socket.id))) {
+          return;
+        }
 
-      // Emit updated online users list
-      io.emit("online-users", Array.from(onlineUsers.keys()));
+        // Update user offline status
+        await User.findByIdAndUpdate(socket.userId, {
+          isOnline: false,
+          lastSeen: new Date(),
+        });
+
+        // Emit updated online users list
+        await emitOnlineUsers(io);
+      } catch (error) {
+        logger.error("error updating presence", { error });
+      }
     });
 
     io.emit("connection-success", {
@@ -322,12 +597,12 @@ export const setupSocketHandlers = (io) => {
 
     // Handle errors
     socket.on("error", (error) => {
-      console.error("Socket error:", error);
+      logger.error("socket error", { error, userId: socket.userId });
     });
   });
 
   // Handle connection errors
   io.on("connection_error", (error) => {
-    console.error("Socket connection error:", error);
+    logger.error("socket connection error", { error });
   });
 };
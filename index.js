@@ -6,6 +6,22 @@ import cors from "cors";
 import dotenv from "dotenv";
 import { socketAuthMiddleware, setupSocketHandlers } from "./config/socket.js";
 import dbConfig from "./config/db.config.js";
+import { rateLimit } from "./middleware/rateLimit.js";
+import { requestContext } from "./middleware/requestContext.js";
+import {
+  errorEnvelope,
+  notFoundHandler,
+  errorHandler,
+} from "./middleware/errorHandler.js";
+import { logger } from "./utils/logger.js";
+import {
+  setupSocketAdapter,
+  shutdownSocketAdapter,
+} from "./services/realtime/index.js";
+import {
+  startWebhookWorker,
+  stopWebhookWorker,
+} from "./services/webhooks/index.js";
 
 dotenv.config();
 
@@ -23,10 +39,23 @@ const PORT = process.env.PORT;
 const MONGODB_URI =
   process.env.MONGODB_URI || "mongodb://localhost:27017/chatapp";
 
+// Behind a load balancer, TRUST_PROXY lets req.ip (and so per-IP rate
+// limits) use the client address from X-Forwarded-For
+if (process.env.TRUST_PROXY) {
+  const hops = Number(process.env.TRUST_PROXY);
+  app.set("trust proxy", Number.isNaN(hops) ? process.env.TRUST_PROXY : hops);
+}
+
+// Make Socket.IO available to route handlers via req.app.get("io")
+app.set("io", io);
+
 // Middleware
+app.use(requestContext);
+app.use(errorEnvelope);
 app.use(cors());
 app.use(express.json());
 app.use(express.urlencoded({ extended: true }));
+app.use("/api", rateLimit("api"));
 
 // Health check
 app.get("/health", (req, res) => {
@@ -47,44 +76,60 @@ async function startServer() {
     const userModule = await import("./routes/users.js");
     const messageModule = await import("./routes/messages.js");
     const groupModule = await import("./routes/group.js");
+    const attachmentModule = await import("./routes/attachments.js");
+    const webhookModule = await import("./routes/webhooks.js");
 
     // Setup routes
     app.use("/api/auth", authModule.default);
     app.use("/api/users", userModule.default);
     app.use("/api/messages", messageModule.default);
     app.use("/api/groups", groupModule.default);
+    app.use("/api/attachments", attachmentModule.default);
+    app.use("/api/webhooks", webhookModule.default);
+
+    // Errors: unknown API routes, then the central handler
+    app.use("/api", notFoundHandler);
+    app.use(errorHandler);
 
     // Connect to MongoDB
-    dbConfig();
+    await dbConfig();
+
+    // Share rooms and presence across server nodes (SOCKET_ADAPTER)
+    const presence = await setupSocketAdapter(io);
+    logger.info("socket adapter ready", { adapter: presence.name });
+
+    // Send queued webhook deliveries (every node can run this)
+    startWebhookWorker();
 
     // Start server
     server.listen(PORT, () => {
-      console.log(` Server running on port ${PORT}`);
-      console.log(` Socket.IO ready for connections`);
+      logger.info("server listening", { port: PORT });
     });
   } catch (error) {
-    console.error(" Error starting server:", error);
+    logger.error("error starting server", { error });
     process.exit(1);
   }
 }
 
 // Handle unhandled promise rejections
 process.on("unhandledRejection", (error) => {
-  console.error("Unhandled Promise Rejection:", error);
+  logger.error("unhandled promise rejection", { error });
 });
 
 // Handle uncaught exceptions
 process.on("uncaughtException", (error) => {
-  console.error("Uncaught Exception:", error);
+  logger.error("uncaught exception", { error });
   process.exit(1);
 });
 
 // Graceful shutdown
 process.on("SIGTERM", async () => {
-  console.log("SIGTERM received, closing server gracefully");
+  logger.info("SIGTERM received, closing server gracefully");
   server.close(async () => {
+    await shutdownSocketAdapter();
+    await stopWebhookWorker();
     await mongoose.connection.close();
-    console.log("Server and DB connections closed");
+    logger.info("server and DB connections closed");
     process.exit(0);
   });
 });
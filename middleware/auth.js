@@ -1,8 +1,6 @@
-import jwt from "jsonwebtoken";
 import User from "../models/User.js";
-
-const JWT_SECRET =
-  process.env.JWT_SECRET || "jhsdbfijlsdhoifhsilufhsdilfhiuwegh";
+import { verifyToken } from "../config/authKeys.js";
+import { isSessionActive } from "../utils/sessions.js";
 
 const authMiddleware = async (req, res, next) => {
   try {
@@ -12,7 +10,13 @@ const authMiddleware = async (req, res, next) => {
       return res.status(401).json({ error: "Authentication required" });
     }
 
-    const decoded = jwt.verify(token, JWT_SECRET);
+    const decoded = verifyToken(token);
+
+    // Tokens stop working as soon as their session is revoked
+    if (!(await isSessionActive(decoded.sid, decoded.userId))) {
+      return res.status(401).json({ error: "Session expired or revoked" });
+    }
+
     const user = await User.findById(decoded.userId).select("-password");
 
     if (!user) {
@@ -21,6 +25,7 @@ const authMiddleware = async (req, res, next) => {
 
     req.user = user;
     req.userId = user._id;
+    req.sessionId = decoded.sid;
     next();
   } catch (error) {
     res.status(401).json({ error: "Invalid Token" });
@@ -0,0 +1,66 @@
+import { logger } from "../utils/logger.js";
+import { ErrorCodes, codeForStatus, describeError } from "../utils/errors.js";
+
+/**
+ * Middleware to complete error responses sent by route handlers
+ *
+ * Handlers answer expected failures with `res.status(4xx).json({ error })`;
+ * this adds the stable `code` for the status and the request ID so every
+ * error body has the same shape.
+ */
+export const errorEnvelope = (req, res, next) => {
+  const json = res.json.bind(res);
+
+  res.json = (body) => {
+    if (res.statusCode >= 400 && body && typeof body.error === "string") {
+      body = {
+        ...body,
+        code: body.code || codeForStatus(res.statusCode),
+        requestId: req.id,
+      };
+    }
+    return json(body);
+  };
+
+  next();
+};
+
+/**
+ * Middleware to answer requests that matched no route
+ */
+export const notFoundHandler = (req, res) => {
+  res.status(404).json({
+    error: `Route not found: ${req.method} ${req.originalUrl}`,
+    code: ErrorCodes.NOT_FOUND,
+  });
+};
+
+/**
+ * Express error handler: logs the error and sends the error envelope
+ *
+ * Unexpected errors are logged with their stack and answered with a
+ * generic message. Express recognizes error handlers by their four
+ * arguments, so `next` must stay in the signature.
+ */
+export const errorHandler = (error, req, res, next) => {
+  const { status, code, message, details } = describeError(error);
+
+  if (status >= 500) {
+    logger.error("unhandled error", {
+      error,
+      method: req.method,
+      path: req.originalUrl,
+    });
+  } else {
+    logger.debug("request failed", { code, message });
+  }
+
+  // Too late for a JSON answer; let Express close the connection
+  if (res.headersSent) {
+    return next(error);
+  }
+
+  res.status(status).json({ error: message, code, ...details });
+};
+
+export default { errorEnvelope, notFoundHandler, errorHandler };
@@ -1,4 +1,13 @@
 import Group from "../models/Group.js";
+import GroupInvite from "../models/GroupInvite.js";
+import { findUsersBlocking } from "../utils/blocks.js";
+import { getInviteError } from "../utils/invites.js";
+import {
+  getGroupRole,
+  getPermissionError,
+  canManageMember,
+} from "../utils/groupPermissions.js";
+import { ErrorCodes } from "../utils/errors.js";
 
 /**
  * Middleware to check if user is a member of the group
@@ -29,42 +38,37 @@ export const isGroupMember = async (req, res, next) => {
     req.group = group;
     next();
   } catch (error) {
-    res.status(500).json({ error: error.message });
+    next(error);
   }
 };
 
 /**
- * Middleware to check if user is an admin of the group
+ * Middleware to check that the user may perform `permission` in the group
+ * (see utils/groupPermissions.js)
  */
-export const isGroupAdmin = async (req, res, next) => {
-  try {
-    const { groupId } = req.params;
-    const userId = req.userId;
+export const requireGroupPermission =
+  (permission) => async (req, res, next) => {
+    try {
+      const group = req.group || (await Group.findById(req.params.groupId));
 
-    const group = await Group.findById(groupId);
-
-    if (!group) {
-      return res.status(404).json({ error: "Group not found" });
-    }
+      if (!group) {
+        return res.status(404).json({ error: "Group not found" });
+      }
 
-    // Check if user is in admins array
-    const isAdmin = group.admins.some(
-      (adminId) => adminId.toString() === userId.toString()
-    );
+      const permissionError = getPermissionError(group, req.userId, permission);
+      if (permissionError) {
+        return res
+          .status(permissionError.status)
+          .json({ error: permissionError.error });
+      }
 
-    if (!isAdmin) {
-      return res
-        .status(403)
-        .json({ error: "Only group admins can perform this action" });
+      // Attach group to request for use in route handlers
+      req.group = group;
+      next();
+    } catch (error) {
+      next(error);
     }
-
-    // Attach group to request for use in route handlers
-    req.group = group;
-    next();
-  } catch (error) {
-    res.status(500).json({ error: error.message });
-  }
-};
+  };
 
 /**
  * Middleware to check if group exists
@@ -86,231 +90,124 @@ export const groupExists = async (req, res, next) => {
     if (error.name === "CastError") {
       return res.status(400).json({ error: "Invalid group ID format" });
     }
-    res.status(500).json({ error: error.message });
+    next(error);
   }
 };
 
 /**
- * Middleware to validate group data
+ * Middleware to check that the user may remove `memberId` or change their
+ * role: the target must be a member who does not outrank the user, and
+ * never the owner
  */
-export const validateGroupData = (req, res, next) => {
-  const { name, members } = req.body;
-
-  if (!name || name.trim().length === 0) {
-    return res.status(400).json({ error: "Group name is required" });
-  }
-
-  if (name.trim().length < 3) {
-    return res
-      .status(400)
-      .json({ error: "Group name must be at least 3 characters" });
-  }
-
-  if (name.trim().length > 50) {
-    return res
-      .status(400)
-      .json({ error: "Group name must not exceed 50 characters" });
-  }
-
-  if (members && !Array.isArray(members)) {
-    return res.status(400).json({ error: "Members must be an array" });
-  }
-
-  if (members && members.length === 0) {
-    return res.status(400).json({ error: "At least one member is required" });
-  }
-
-  next();
-};
-
-/**
- * Middleware to check if user can be removed from group
- */
-export const canRemoveMember = async (req, res, next) => {
+export const canManageGroupMember = async (req, res, next) => {
   try {
-    const { groupId, memberId } = req.params;
-    const userId = req.userId;
-
-    const group = await Group.findById(groupId);
+    const { memberId } = req.params;
+    const group = req.group || (await Group.findById(req.params.groupId));
 
     if (!group) {
       return res.status(404).json({ error: "Group not found" });
     }
 
-    // Check if requester is admin
-    const isAdmin = group.admins.some(
-      (adminId) => adminId.toString() === userId.toString()
-    );
-
-    if (!isAdmin) {
-      return res.status(403).json({ error: "Only admins can remove members" });
-    }
-
-    // Check if member exists in group
-    const memberExists = group.members.some(
-      (member) => member.toString() === memberId
-    );
-
-    if (!memberExists) {
+    if (!getGroupRole(group, memberId)) {
       return res
         .status(400)
         .json({ error: "User is not a member of this group" });
     }
 
-    // Cannot remove admins
-    const isTargetAdmin = group.admins.some(
-      (adminId) => adminId.toString() === memberId
-    );
-
-    if (isTargetAdmin) {
-      return res.status(400).json({
-        error: "Cannot remove admin. Remove admin role first.",
+    if (!canManageMember(group, req.userId, memberId)) {
+      return res.status(403).json({
+        error: "You cannot manage the owner or members above your role",
       });
     }
 
     req.group = group;
     next();
   } catch (error) {
-    res.status(500).json({ error: error.message });
+    next(error);
   }
 };
 
 /**
- * Middleware to check if last admin is being removed
+ * Middleware to check group size limit
+ *
+ * Counts the `members` being added, or a single user when there is no
+ * list (joining through an invite or an approved join request).
  */
-export const preventLastAdminRemoval = async (req, res, next) => {
+export const checkGroupSizeLimit = async (req, res, next) => {
   try {
-    const { groupId, memberId } = req.params;
+    const { groupId } = req.params;
+    const { members } = req.body || {};
+    const MAX_GROUP_SIZE = 100; // Configure as needed
 
-    const group = await Group.findById(groupId);
+    const group = req.group || (await Group.findById(groupId));
 
     if (!group) {
       return res.status(404).json({ error: "Group not found" });
     }
 
-    // Check if this is the last admin
-    if (group.admins.length === 1) {
-      const isLastAdmin = group.admins[0].toString() === memberId;
+    const newTotalMembers = group.members.length + (members?.length || 1);
 
-      if (isLastAdmin) {
-        return res.status(400).json({
-          error:
-            "Cannot remove the last admin. Promote another member to admin first.",
-        });
-      }
+    if (newTotalMembers > MAX_GROUP_SIZE) {
+      return res.status(400).json({
+        error: `Group size limit exceeded. Maximum ${MAX_GROUP_SIZE} members allowed.`,
+      });
     }
 
     req.group = group;
     next();
   } catch (error) {
-    res.status(500).json({ error: error.message });
+    next(error);
   }
 };
 
 /**
- * Middleware to check if user can be promoted to admin
+ * Middleware to refuse adding users who have blocked the current user
  */
-export const canPromoteToAdmin = async (req, res, next) => {
+export const preventBlockedMembers = async (req, res, next) => {
   try {
-    const { groupId, memberId } = req.params;
-
-    const group = await Group.findById(groupId);
-
-    if (!group) {
-      return res.status(404).json({ error: "Group not found" });
-    }
+    const blocking = await findUsersBlocking(req.userId, req.body.members);
 
-    // Check if member exists in group
-    const memberExists = group.members.some(
-      (member) => member.toString() === memberId
-    );
-
-    if (!memberExists) {
-      return res
-        .status(400)
-        .json({ error: "User is not a member of this group" });
-    }
-
-    // Check if already an admin
-    const isAlreadyAdmin = group.admins.some(
-      (adminId) => adminId.toString() === memberId
-    );
-
-    if (isAlreadyAdmin) {
-      return res.status(400).json({ error: "User is already an admin" });
+    if (blocking.length > 0) {
+      return res.status(403).json({
+        error: "You cannot add users who have blocked you",
+        code: ErrorCodes.USER_BLOCKED,
+        users: blocking,
+      });
     }
 
-    req.group = group;
     next();
   } catch (error) {
-    res.status(500).json({ error: error.message });
+    next(error);
   }
 };
 
 /**
- * Middleware to validate members array
+ * Middleware to load a usable invite by its code, along with its group
  */
-export const validateMembers = async (req, res, next) => {
+export const resolveInvite = async (req, res, next) => {
   try {
-    const { members } = req.body;
+    const invite = await GroupInvite.findOne({ code: req.params.code });
 
-    if (!members || !Array.isArray(members)) {
-      return res.status(400).json({ error: "Members array is required" });
+    if (!invite) {
+      return res.status(404).json({ error: "Invite not found" });
     }
 
-    if (members.length === 0) {
-      return res.status(400).json({ error: "At least one member is required" });
+    const inviteError = getInviteError(invite);
+    if (inviteError) {
+      return res.status(inviteError.status).json({ error: inviteError.error });
     }
 
-    // Check for duplicate members
-    const uniqueMembers = [...new Set(members)];
-    if (uniqueMembers.length !== members.length) {
-      return res.status(400).json({ error: "Duplicate members detected" });
-    }
-
-    // Validate ObjectId format (basic check)
-    const validObjectIdPattern = /^[0-9a-fA-F]{24}$/;
-    for (const memberId of members) {
-      if (!validObjectIdPattern.test(memberId)) {
-        return res
-          .status(400)
-          .json({ error: `Invalid member ID format: ${memberId}` });
-      }
-    }
-
-    next();
-  } catch (error) {
-    res.status(500).json({ error: error.message });
-  }
-};
-
-/**
- * Middleware to check group size limit
- */
-export const checkGroupSizeLimit = async (req, res, next) => {
-  try {
-    const { groupId } = req.params;
-    const { members } = req.body;
-    const MAX_GROUP_SIZE = 100; // Configure as needed
-
-    const group = await Group.findById(groupId);
+    const group = await Group.findById(invite.group);
 
     if (!group) {
       return res.status(404).json({ error: "Group not found" });
     }
 
-    const newTotalMembers = group.members.length + (members?.length || 0);
-
-    if (newTotalMembers > MAX_GROUP_SIZE) {
-      return res.status(400).json({
-        error: `Group size limit exceeded. Maximum ${MAX_GROUP_SIZE} members allowed.`,
-      });
-    }
-
+    req.invite = invite;
     req.group = group;
     next();
   } catch (error) {
-    res.status(500).json({ error: error.message });
+    next(error);
   }
 };
 
@@ -325,20 +222,18 @@ export const populateGroup = async (req, res, next) => {
     }
     next();
   } catch (error) {
-    res.status(500).json({ error: error.message });
+    next(error);
   }
 };
 
 // Export all middleware
 export default {
   isGroupMember,
-  isGroupAdmin,
+  requireGroupPermission,
   groupExists,
-  validateGroupData,
-  canRemoveMember,
-  preventLastAdminRemoval,
-  canPromoteToAdmin,
-  validateMembers,
+  canManageGroupMember,
   checkGroupSizeLimit,
+  preventBlockedMembers,
+  resolveInvite,
   populateGroup,
 };
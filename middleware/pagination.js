@@ -0,0 +1,53 @@
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 100;
+const validObjectIdPattern = /^[0-9a-fA-F]{24}$/;
+
+/**
+ * Middleware to validate message history pagination params
+ *
+ * Accepts `limit` plus at most one of `before`, `after` or `around`
+ * (each a message ID) and attaches the result as `req.pagination`.
+ */
+export const validatePagination = (req, res, next) => {
+  const { limit, before, after, around } = req.query;
+
+  const cursors = { before, after, around };
+  const provided = Object.keys(cursors).filter((key) => cursors[key]);
+
+  if (provided.length > 1) {
+    return res
+      .status(400)
+      .json({ error: "Use only one of before, after or around" });
+  }
+
+  for (const key of provided) {
+    if (!validObjectIdPattern.test(cursors[key])) {
+      return res
+        .status(400)
+        .json({ error: `Invalid ${key} cursor format: ${cursors[key]}` });
+    }
+  }
+
+  let parsedLimit = DEFAULT_LIMIT;
+  if (limit !== undefined) {
+    parsedLimit = Number(limit);
+    if (
+      !Number.isInteger(parsedLimit) ||
+      parsedLimit < 1 ||
+      parsedLimit > MAX_LIMIT
+    ) {
+      return res
+        .status(400)
+        .json({ error: `Limit must be an integer between 1 and ${MAX_LIMIT}` });
+    }
+  }
+
+  req.pagination = {
+    limit: parsedLimit,
+    mode: provided[0] || "before",
+    cursor: provided.length ? cursors[provided[0]] : null,
+  };
+  next();
+};
+
+export default { validatePagination };
@@ -0,0 +1,42 @@
+import { consumeRateLimit } from "../services/rateLimit/index.js";
+
+/**
+ * Middleware to rate limit a route with the rule `name`
+ *
+ * Counts per user when placed after authMiddleware, per IP, and per
+ * account (alone and combined with the IP) for routes that take an
+ * `email` in the body.
+ */
+export const rateLimit = (name) => async (req, res, next) => {
+  try {
+    const account = typeof req.body?.email === "string" ? req.body.email : null;
+    const result = await consumeRateLimit(name, {
+      user: req.userId?.toString(),
+      ip: req.ip,
+      account,
+      ipAccount: account && `${req.ip}|${account}`,
+    });
+
+    if (result.limit !== undefined) {
+      res.set({
+        "RateLimit-Limit": result.limit,
+        "RateLimit-Remaining": result.remaining,
+        "RateLimit-Reset": result.retryAfter,
+      });
+    }
+
+    if (!result.allowed) {
+      res.set("Retry-After", result.retryAfter);
+      return res.status(429).json({
+        error: "Too many requests, please try again later",
+        retryAfter: result.retryAfter,
+      });
+    }
+
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+export default rateLimit;
@@ -0,0 +1,35 @@
+import { logger, createRequestId, runWithRequestId } from "../utils/logger.js";
+
+// Client-supplied IDs are reused when they look sane, so a request can be
+// traced from the client through the logs
+const requestIdPattern = /^[\w.-]{8,64}$/;
+
+/**
+ * Middleware to give every request a correlation ID
+ *
+ * Sets `req.id` and the X-Request-Id response header, runs the rest of
+ * the request with that ID attached to all log lines and logs each
+ * request once it completes.
+ */
+export const requestContext = (req, res, next) => {
+  const incoming = req.header("X-Request-Id");
+  req.id = requestIdPattern.test(incoming || "") ? incoming : createRequestId();
+  res.set("X-Request-Id", req.id);
+
+  const startedAt = process.hrtime.bigint();
+  res.on("finish", () => {
+    const level = res.statusCode >= 500 ? "error" : "info";
+    logger[level]("request completed", {
+      requestId: req.id,
+      method: req.method,
+      path: req.originalUrl,
+      status: res.statusCode,
+      durationMs: Number(process.hrtime.bigint() - startedAt) / 1e6,
+      userId: req.userId?.toString(),
+    });
+  });
+
+  runWithRequestId(req.id, next);
+};
+
+export default requestContext;
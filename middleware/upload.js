@@ -0,0 +1,58 @@
+import multer from "multer";
+
+const MAX_UPLOAD_SIZE = Number(process.env.MAX_UPLOAD_SIZE) || 10 * 1024 * 1024; // 10 MB
+
+const ALLOWED_UPLOAD_TYPES = process.env.ALLOWED_UPLOAD_TYPES
+  ? process.env.ALLOWED_UPLOAD_TYPES.split(",").map((type) => type.trim())
+  : [
+      "image/jpeg",
+      "image/png",
+      "image/gif",
+      "image/webp",
+      "application/pdf",
+      "text/plain",
+      "application/zip",
+      "application/msword",
+      "application/vnd.openxmlformats-officedocument.wordprocessingml.document",
+    ];
+
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: MAX_UPLOAD_SIZE, files: 1 },
+  fileFilter: (req, file, cb) => {
+    if (!ALLOWED_UPLOAD_TYPES.includes(file.mimetype)) {
+      const error = new Error(`File type not allowed: ${file.mimetype}`);
+      error.code = "UNSUPPORTED_FILE_TYPE";
+      return cb(error);
+    }
+    cb(null, true);
+  },
+});
+
+/**
+ * Middleware to accept a single file in the `file` form field
+ */
+export const uploadSingleFile = (req, res, next) => {
+  upload.single("file")(req, res, (error) => {
+    if (!error) {
+      if (!req.file) {
+        return res.status(400).json({ error: "File is required" });
+      }
+      return next();
+    }
+
+    if (error.code === "LIMIT_FILE_SIZE") {
+      return res.status(413).json({
+        error: `File too large. Maximum size is ${MAX_UPLOAD_SIZE} bytes.`,
+      });
+    }
+
+    if (error.code === "UNSUPPORTED_FILE_TYPE") {
+      return res.status(415).json({ error: error.message });
+    }
+
+    res.status(400).json({ error: error.message });
+  });
+};
+
+export default { uploadSingleFile };
@@ -0,0 +1,70 @@
+import { validateSchema } from "../utils/validation.js";
+import { ErrorCodes } from "../utils/errors.js";
+
+const SOURCES = ["params", "query", "body"];
+
+/**
+ * Middleware to validate a request against a route schema
+ *
+ * `schema` has optional `params`, `query` and `body` sections (see
+ * utils/validation.js). Each declared section is replaced with its
+ * validated value; invalid input is answered with a 400 listing the
+ * message for every failing field.
+ */
+export const validate = (schema) => (req, res, next) => {
+  const fields = {};
+  const values = {};
+
+  for (const source of SOURCES) {
+    if (!schema[source]) {
+      continue;
+    }
+
+    const result = validateSchema(schema[source], req[source]);
+    if (result.error) {
+      Object.assign(fields, result.fields);
+      if (!Object.keys(result.fields).length) {
+        fields[source] = result.error;
+      }
+    } else {
+      values[source] = result.value;
+    }
+  }
+
+  const messages = Object.values(fields);
+  if (messages.length) {
+    return res.status(400).json({
+      error: messages[0],
+      code: ErrorCodes.VALIDATION_FAILED,
+      fields,
+    });
+  }
+
+  Object.assign(req, values);
+  next();
+};
+
+/**
+ * Validate the payload of a socket event against `schema`
+ *
+ * `packet` is the `[event, ...args]` array seen by socket.use; on success
+ * the payload in it is replaced with the validated value so handlers only
+ * receive checked data. Returns `{ error, fields }` when invalid.
+ */
+export const validateSocketPayload = (schema, packet) => {
+  const hasPayload = packet.length > 1 && typeof packet[1] !== "function";
+  const result = validateSchema(schema, hasPayload ? packet[1] : {});
+
+  if (result.error) {
+    return result;
+  }
+
+  if (hasPayload) {
+    packet[1] = result.value;
+  } else {
+    packet.splice(1, 0, result.value);
+  }
+  return {};
+};
+
+export default { validate, validateSocketPayload };
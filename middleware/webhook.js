@@ -0,0 +1,74 @@
+import Group from "../models/Group.js";
+import Webhook from "../models/Webhook.js";
+import { getPermissionError } from "../utils/groupPermissions.js";
+
+// Group webhooks need the group's manageWebhooks permission
+const loadManagedGroup = async (groupId, userId) => {
+  const group = await Group.findById(groupId);
+  if (!group) {
+    return { error: "Group not found", status: 404 };
+  }
+
+  const permissionError = getPermissionError(group, userId, "manageWebhooks");
+  if (permissionError) {
+    return permissionError;
+  }
+  return { group };
+};
+
+/**
+ * Middleware to check that the user may manage webhooks for the
+ * `groupId` in the body or query; without one, the user's personal
+ * webhooks are meant and nothing is checked
+ */
+export const requireWebhookScope = async (req, res, next) => {
+  try {
+    const groupId = req.body?.groupId || req.query.groupId;
+    if (!groupId) {
+      return next();
+    }
+
+    const result = await loadManagedGroup(groupId, req.userId);
+    if (result.error) {
+      return res.status(result.status).json({ error: result.error });
+    }
+
+    req.group = result.group;
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Middleware to load `webhookId` for a user who may manage it: its owner
+ * for a personal webhook, the group's admins for a group webhook
+ */
+export const loadManagedWebhook = async (req, res, next) => {
+  try {
+    const webhook = await Webhook.findById(req.params.webhookId);
+
+    // Other users' personal webhooks are reported as missing
+    if (
+      !webhook ||
+      (!webhook.group && webhook.owner.toString() !== req.userId.toString())
+    ) {
+      return res.status(404).json({ error: "Webhook not found" });
+    }
+
+    if (webhook.group) {
+      const result = await loadManagedGroup(webhook.group, req.userId);
+      if (result.error) {
+        return res.status(result.status).json({ error: result.error });
+      }
+      req.group = result.group;
+    }
+
+    req.webhook = webhook;
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+export default { requireWebhookScope, loadManagedWebhook };
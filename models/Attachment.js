@@ -0,0 +1,72 @@
+import mongoose from "mongoose";
+
+const attachmentSchema = new mongoose.Schema(
+  {
+    uploader: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    // Conversation the file was uploaded to; decides who may download it
+    receiver: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+    group: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Group",
+      default: null,
+    },
+    driver: {
+      type: String,
+      required: true,
+    },
+    storageKey: {
+      type: String,
+      required: true,
+    },
+    filename: {
+      type: String,
+      required: true,
+    },
+    mimeType: {
+      type: String,
+      required: true,
+    },
+    size: {
+      type: Number,
+      required: true,
+    },
+    checksum: {
+      type: String,
+      required: true,
+    },
+    message: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Message",
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+attachmentSchema.virtual("url").get(function () {
+  return `/api/attachments/${this._id}/download`;
+});
+
+// Metadata embedded in messages
+attachmentSchema.methods.toMessageAttachment = function () {
+  return {
+    file: this._id,
+    filename: this.filename,
+    mimeType: this.mimeType,
+    size: this.size,
+    checksum: this.checksum,
+    url: this.url,
+  };
+};
+
+export default mongoose.model("Attachment", attachmentSchema);
@@ -1,18 +1,44 @@
 import mongoose, { mongo } from "mongoose";
 
+const groupRoles = ["member", "moderator", "admin", "owner"];
+
 const groupSchema = new mongoose.Schema(
   {
     name: {
       type: String,
       required: true,
     },
+    description: { type: String, default: "" },
+    // Either an uploaded image (attachment) or an external URL
+    avatar: {
+      url: { type: String, default: null },
+      attachment: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Attachment",
+        default: null,
+      },
+    },
+    pinnedTopic: { type: String, default: "" },
+    // Only admins and the owner may post while this is on
+    announcementOnly: { type: Boolean, default: false },
     members: [
       {
         type: mongoose.Schema.Types.ObjectId,
         ref: "User",
       },
     ],
+    // The owner is also listed in admins; see utils/groupPermissions.js
+    owner: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
     admins: [{ type: mongoose.Schema.Types.ObjectId, ref: "User" }],
+    moderators: [{ type: mongoose.Schema.Types.ObjectId, ref: "User" }],
+    // Lowest role allowed to perform each action
+    permissions: {
+      post: { type: String, enum: groupRoles, default: "member" },
+      addMembers: { type: String, enum: groupRoles, default: "admin" },
+      rename: { type: String, enum: groupRoles, default: "admin" },
+      pin: { type: String, enum: groupRoles, default: "moderator" },
+      deleteMessages: { type: String, enum: groupRoles, default: "moderator" },
+    },
     isGroup: { type: Boolean, default: true },
   },
   {
@@ -0,0 +1,57 @@
+import mongoose from "mongoose";
+
+// Shareable group invite links; the code is the last part of the link
+const groupInviteSchema = new mongoose.Schema(
+  {
+    group: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Group",
+      required: true,
+    },
+    code: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    // null means the link never expires / has no usage limit
+    expiresAt: {
+      type: Date,
+      default: null,
+    },
+    maxUses: {
+      type: Number,
+      default: null,
+    },
+    uses: {
+      type: Number,
+      default: 0,
+    },
+    // Joins through the link wait for an admin to approve them
+    requiresApproval: {
+      type: Boolean,
+      default: false,
+    },
+    pendingRequests: [
+      {
+        user: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+        requestedAt: { type: Date, default: Date.now },
+      },
+    ],
+    revokedAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+groupInviteSchema.index({ group: 1, createdAt: -1 });
+
+export default mongoose.model("GroupInvite", groupInviteSchema);
@@ -1,5 +1,21 @@
 import mongoose from "mongoose";
 
+const attachmentSchema = new mongoose.Schema(
+  {
+    file: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Attachment",
+      required: true,
+    },
+    filename: String,
+    mimeType: String,
+    size: Number,
+    checksum: String,
+    url: String,
+  },
+  { _id: false }
+);
+
 const messageSchema = new mongoose.Schema(
   {
     sender: {
@@ -14,14 +30,28 @@ const messageSchema = new mongoose.Schema(
     },
     content: {
       type: String,
-      required: true,
+      // Attachments may be sent without a caption
+      required: function () {
+        return !this.attachment && !this.isDeleted;
+      },
       trim: true,
+      default: "",
     },
     messageType: {
       type: String,
       enum: ["text", "image", "file"],
       default: "text",
     },
+    // Delivery state: stored -> reached a recipient device -> read
+    status: {
+      type: String,
+      enum: ["sent", "delivered", "read"],
+      default: "sent",
+    },
+    deliveredAt: {
+      type: Date,
+      default: null,
+    },
     isRead: {
       type: Boolean,
       default: false,
@@ -34,14 +64,106 @@ const messageSchema = new mongoose.Schema(
       ref: "Group",
       default: null,
     },
+    attachment: {
+      type: attachmentSchema,
+      default: null,
+    },
+    // Message being quoted/replied to
+    replyTo: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Message",
+      default: null,
+    },
+    // First message of the thread this reply belongs to
+    threadRoot: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Message",
+      default: null,
+    },
+    // Number of replies in the thread (kept on the root message)
+    replyCount: {
+      type: Number,
+      default: 0,
+    },
+    editedAt: {
+      type: Date,
+      default: null,
+    },
+    // Previous versions of the content, oldest first
+    editHistory: [
+      {
+        content: String,
+        editedAt: Date,
+        _id: false,
+      },
+    ],
+    // "Delete for everyone" leaves a tombstone in place of the message
+    isDeleted: {
+      type: Boolean,
+      default: false,
+    },
+    deletedAt: {
+      type: Date,
+      default: null,
+    },
+    // Users who removed the message from their own view ("delete for me")
+    deletedFor: [
+      {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User",
+      },
+    ],
+    // One entry per user and emoji
+    reactions: [
+      {
+        user: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "User",
+          required: true,
+        },
+        emoji: {
+          type: String,
+          required: true,
+        },
+        _id: false,
+      },
+    ],
   },
 
   {
     timestamps: true,
+    id: false,
+    toJSON: {
+      virtuals: true,
+      // Who hid the message is private to each of those users
+      transform: (doc, ret) => {
+        delete ret.deletedFor;
+        return ret;
+      },
+    },
+    toObject: { virtuals: true },
   }
 );
 
+// Reactions aggregated per emoji, in the order they were first used
+messageSchema.virtual("reactionCounts").get(function () {
+  const counts = new Map();
+  (this.reactions || []).forEach(({ user, emoji }) => {
+    if (!counts.has(emoji)) {
+      counts.set(emoji, { emoji, count: 0, users: [] });
+    }
+    const entry = counts.get(emoji);
+    entry.count += 1;
+    entry.users.push(user._id || user);
+  });
+  return Array.from(counts.values());
+});
+
 // Index for faster queries
 messageSchema.index({ sender: 1, receiver: 1, createdAt: -1 });
+messageSchema.index({ group: 1, createdAt: -1 });
+messageSchema.index({ threadRoot: 1, createdAt: -1 });
+// Full-text message search (utils/search.js)
+messageSchema.index({ content: "text" });
 
 export default mongoose.model("Message", messageSchema);
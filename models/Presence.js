@@ -0,0 +1,37 @@
+import mongoose from "mongoose";
+
+// One document per open socket connection, shared by all server nodes
+const presenceSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    socketId: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    // Server process holding the connection
+    node: {
+      type: String,
+      required: true,
+    },
+    // Refreshed by the node's heartbeat; lets MongoDB drop entries of
+    // nodes that died without cleaning up
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+presenceSchema.index({ user: 1 });
+presenceSchema.index({ node: 1 });
+presenceSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+export default mongoose.model("Presence", presenceSchema);
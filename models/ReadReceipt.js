@@ -0,0 +1,34 @@
+import mongoose from "mongoose";
+
+// A member's read position in a group: everything up to lastReadAt is read
+const readReceiptSchema = new mongoose.Schema(
+  {
+    group: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Group",
+      required: true,
+    },
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    lastReadAt: {
+      type: Date,
+      required: true,
+    },
+    lastReadMessage: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Message",
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+readReceiptSchema.index({ group: 1, user: 1 }, { unique: true });
+readReceiptSchema.index({ group: 1, lastReadAt: -1 });
+
+export default mongoose.model("ReadReceipt", readReceiptSchema);
@@ -22,6 +22,42 @@ const userSchema = new mongoose.Schema(
       required: true,
       minlength: 6,
     },
+    emailVerified: {
+      type: Boolean,
+      default: false,
+    },
+    emailVerifiedAt: {
+      type: Date,
+      default: null,
+    },
+    // TOTP two-factor authentication; secrets are never selected by default
+    twoFactorEnabled: {
+      type: Boolean,
+      default: false,
+    },
+    twoFactorSecret: {
+      type: String,
+      default: null,
+      select: false,
+    },
+    // Secret generated by setup, awaiting confirmation with a first code
+    twoFactorPendingSecret: {
+      type: String,
+      default: null,
+      select: false,
+    },
+    // SHA-256 hashes of unused recovery codes
+    twoFactorRecoveryCodes: {
+      type: [String],
+      default: [],
+      select: false,
+    },
+    // Last accepted TOTP time step, to refuse replayed codes
+    twoFactorLastStep: {
+      type: Number,
+      default: -1,
+      select: false,
+    },
     avatar: {
       type: String,
       default: "https://ui-avatars.com/api/?background=random",
@@ -34,6 +70,19 @@ const userSchema = new mongoose.Schema(
       type: Date,
       default: Date.now,
     },
+    // Users this user has blocked: no DMs, typing, presence or group adds
+    // between them. Private, so never selected by default
+    blockedUsers: {
+      type: [{ type: mongoose.Schema.Types.ObjectId, ref: "User" }],
+      default: [],
+      select: false,
+    },
+    // Users whose messages should not raise notifications for this user
+    mutedUsers: {
+      type: [{ type: mongoose.Schema.Types.ObjectId, ref: "User" }],
+      default: [],
+      select: false,
+    },
   },
   {
     timestamps: true,
@@ -57,4 +106,7 @@ userSchema.methods.comparePassword = async function (candidatePassword) {
   return await bcrypt.compare(candidatePassword, this.password);
 };
 
+// Finds the users who have blocked a given user
+userSchema.index({ blockedUsers: 1 });
+
 export default mongoose.model("User", userSchema);
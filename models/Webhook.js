@@ -0,0 +1,56 @@
+import mongoose from "mongoose";
+
+// Events a webhook can subscribe to
+export const WEBHOOK_EVENTS = [
+  "message.created",
+  "group.created",
+  "group.member_added",
+  "group.member_removed",
+];
+
+// Outbound HTTP subscriptions; see services/webhooks/index.js
+const webhookSchema = new mongoose.Schema(
+  {
+    owner: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    // Group-wide webhooks are managed by the group's admins; without a
+    // group the webhook covers the owner's own conversations
+    group: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Group",
+      default: null,
+    },
+    url: {
+      type: String,
+      required: true,
+    },
+    events: [
+      {
+        type: String,
+        enum: WEBHOOK_EVENTS,
+      },
+    ],
+    description: { type: String, default: "" },
+    // Signs every delivery; only shown when created or rotated
+    secret: {
+      type: String,
+      required: true,
+      select: false,
+    },
+    active: {
+      type: Boolean,
+      default: true,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+webhookSchema.index({ group: 1, events: 1 });
+webhookSchema.index({ owner: 1, events: 1 });
+
+export default mongoose.model("Webhook", webhookSchema);
@@ -0,0 +1,78 @@
+import mongoose from "mongoose";
+
+// How long the delivery log is kept
+const DELIVERY_LOG_TTL_DAYS = 30;
+
+// One event sent to one webhook, with every attempt made so far
+const webhookDeliverySchema = new mongoose.Schema(
+  {
+    webhook: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Webhook",
+      required: true,
+    },
+    event: {
+      type: String,
+      required: true,
+    },
+    // The request body, without the delivery id
+    payload: {
+      type: mongoose.Schema.Types.Mixed,
+      required: true,
+    },
+    status: {
+      type: String,
+      enum: ["pending", "succeeded", "failed"],
+      default: "pending",
+    },
+    attempts: {
+      type: Number,
+      default: 0,
+    },
+    nextAttemptAt: {
+      type: Date,
+      default: Date.now,
+    },
+    // Set while a worker is sending it, so other nodes skip it
+    lockedUntil: {
+      type: Date,
+      default: null,
+    },
+    lastAttemptAt: {
+      type: Date,
+      default: null,
+    },
+    responseStatus: {
+      type: Number,
+      default: null,
+    },
+    lastError: {
+      type: String,
+      default: null,
+    },
+    completedAt: {
+      type: Date,
+      default: null,
+    },
+    attemptLog: [
+      {
+        at: Date,
+        statusCode: { type: Number, default: null },
+        error: { type: String, default: null },
+        durationMs: Number,
+      },
+    ],
+  },
+  {
+    timestamps: true,
+  }
+);
+
+webhookDeliverySchema.index({ status: 1, nextAttemptAt: 1 });
+webhookDeliverySchema.index({ webhook: 1, createdAt: -1 });
+webhookDeliverySchema.index(
+  { createdAt: 1 },
+  { expireAfterSeconds: DELIVERY_LOG_TTL_DAYS * 24 * 60 * 60 }
+);
+
+export default mongoose.model("WebhookDelivery", webhookDeliverySchema);
@@ -0,0 +1,140 @@
+import express from "express";
+import Attachment from "../models/Attachment.js";
+import Group from "../models/Group.js";
+import authMiddleware from "../middleware/auth.js";
+import { rateLimit } from "../middleware/rateLimit.js";
+import { uploadSingleFile } from "../middleware/upload.js";
+import { validate } from "../middleware/validate.js";
+import * as attachmentSchemas from "../schemas/attachments.js";
+import { storeAttachment, canAccessAttachment } from "../utils/attachments.js";
+import { isBlockedBetween } from "../utils/blocks.js";
+import { getPermissionError } from "../utils/groupPermissions.js";
+import { ErrorCodes } from "../utils/errors.js";
+import { getStorageDriver } from "../services/storage/index.js";
+
+const router = express.Router();
+
+// Upload a file to a DM (`receiver`) or a group (`groupId`)
+router.post(
+  "/",
+  authMiddleware,
+  rateLimit("attachments:upload"),
+  uploadSingleFile,
+  validate(attachmentSchemas.uploadAttachment),
+  async (req, res, next) => {
+    try {
+      const { receiver, groupId } = req.body;
+
+      if (!receiver === !groupId) {
+        return res
+          .status(400)
+          .json({ error: "Either receiver or groupId is required" });
+      }
+
+      if (receiver && (await isBlockedBetween(req.userId, receiver))) {
+        return res.status(403).json({
+          error: "You cannot message this user",
+          code: ErrorCodes.USER_BLOCKED,
+        });
+      }
+
+      if (groupId) {
+        const group = await Group.findById(groupId);
+        if (!group) {
+          return res.status(404).json({ error: "Group not found" });
+        }
+
+        const permissionError = getPermissionError(group, req.userId, "post");
+        if (permissionError) {
+          return res
+            .status(permissionError.status)
+            .json({ error: permissionError.error });
+        }
+      }
+
+      const attachment = await storeAttachment({
+        file: req.file,
+        uploaderId: req.userId,
+        receiverId: receiver || null,
+        groupId: groupId || null,
+      });
+
+      res.status(201).json({ attachment: attachment.toMessageAttachment() });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// Load an attachment the current user is allowed to see
+const loadAttachment = async (req, res, next) => {
+  try {
+    const attachment = await Attachment.findById(req.params.attachmentId);
+
+    if (!attachment || !(await canAccessAttachment(attachment, req.userId))) {
+      return res.status(404).json({ error: "Attachment not found" });
+    }
+
+    req.attachment = attachment;
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Get attachment metadata
+router.get(
+  "/:attachmentId",
+  authMiddleware,
+  validate(attachmentSchemas.attachmentParams),
+  loadAttachment,
+  (req, res) => {
+    res.json({ attachment: req.attachment.toMessageAttachment() });
+  }
+);
+
+// Download attachment contents
+router.get(
+  "/:attachmentId/download",
+  authMiddleware,
+  validate(attachmentSchemas.attachmentParams),
+  loadAttachment,
+  async (req, res, next) => {
+    try {
+      const { attachment } = req;
+      const storage = getStorageDriver(attachment.driver);
+
+      if (!(await storage.exists(attachment.storageKey))) {
+        return res.status(404).json({ error: "Attachment file is missing" });
+      }
+
+      const disposition = attachment.mimeType.startsWith("image/")
+        ? "inline"
+        : "attachment";
+
+      res.set({
+        "Content-Type": attachment.mimeType,
+        "Content-Length": attachment.size,
+        "Content-Disposition": `${disposition}; filename*=UTF-8''${encodeURIComponent(
+          attachment.filename
+        )}`,
+        "X-Content-Type-Options": "nosniff",
+        "Cache-Control": "private, max-age=3600",
+        ETag: `"${attachment.checksum}"`,
+      });
+
+      const stream = storage.createReadStream(attachment.storageKey);
+      stream.on("error", (error) => {
+        if (!res.headersSent) {
+          return next(error);
+        }
+        res.destroy(error);
+      });
+      stream.pipe(res);
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+export default router;
@@ -1,114 +1,572 @@
 import express from "express";
-import jwt from "jsonwebtoken";
 import User from "../models/User.js";
+import Session from "../models/Session.js";
 import authMiddleware from "../middleware/auth.js";
+import { rateLimit } from "../middleware/rateLimit.js";
+import { validate } from "../middleware/validate.js";
+import * as authSchemas from "../schemas/auth.js";
+import { signToken, verifyToken } from "../config/authKeys.js";
+import {
+  createSession,
+  rotateRefreshToken,
+  revokeSession,
+} from "../utils/sessions.js";
+import { issueAuthToken, consumeAuthToken } from "../utils/authTokens.js";
+import {
+  sendVerificationEmail,
+  sendPasswordResetEmail,
+} from "../services/mail/authEmails.js";
+import { generateSecret, verifyCode, buildOtpauthUrl } from "../utils/totp.js";
+import {
+  findUserWithTwoFactor,
+  generateRecoveryCodes,
+  verifySecondFactor,
+} from "../utils/twoFactor.js";
+import { logger } from "../utils/logger.js";
+import { consumeRateLimit } from "../services/rateLimit/index.js";
 
 const router = express.Router();
-const JWT_SECRET =
-  process.env.JWT_SECRET || "your-secret-key-change-in-production";
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || "15m";
+const PASSWORD_RESET_TTL_MINUTES = 60;
+const EMAIL_VERIFICATION_TTL_HOURS = 48;
+const TWO_FACTOR_CHALLENGE_TTL = "5m";
+const TWO_FACTOR_ISSUER = process.env.TWO_FACTOR_ISSUER || "Chat App";
+
+// Short-lived access token bound to a session
+const signAccessToken = (user, session) =>
+  signToken(
+    { userId: user._id, sid: session._id },
+    { expiresIn: ACCESS_TOKEN_TTL }
+  );
+
+// Mark the user online, start a session and build the login response
+const completeLogin = async (user, req) => {
+  user.isOnline = true;
+  await user.save();
+
+  const { session, refreshToken } = await createSession(user, req);
+  const token = signAccessToken(user, session);
+
+  return {
+    message: "Login successful",
+    token,
+    refreshToken,
+    user: {
+      id: user._id,
+      username: user.username,
+      email: user.email,
+      avatar: user.avatar,
+      isOnline: user.isOnline,
+      emailVerified: user.emailVerified,
+      twoFactorEnabled: user.twoFactorEnabled,
+    },
+  };
+};
+
+const startEmailVerification = async (user) => {
+  const token = await issueAuthToken(
+    user._id,
+    "email-verification",
+    EMAIL_VERIFICATION_TTL_HOURS * 60 * 60 * 1000
+  );
+  await sendVerificationEmail(user, token);
+};
 
 // Register
-router.post("/register", async (req, res) => {
-  try {
-    const { username, email, password } = req.body;
+router.post(
+  "/register",
+  rateLimit("auth:register"),
+  validate(authSchemas.register),
+  async (req, res, next) => {
+    try {
+      const { username, email, password } = req.body;
+
+      // Check if user exists
+      const existingUser = await User.findOne({
+        $or: [{ email }, { username }],
+      });
+      if (existingUser) {
+        return res.status(400).json({ error: "User already exists" });
+      }
 
-    // Validation
-    if (!username || !email || !password) {
-      return res.status(400).json({ error: "All fields are required" });
+      // Create user
+      const user = new User({ username, email, password });
+      await user.save();
+
+      // Email delivery problems should not block sign-up
+      try {
+        await startEmailVerification(user);
+      } catch (error) {
+        logger.error("error sending verification email", { error });
+      }
+
+      // Start a session and generate tokens
+      const { session, refreshToken } = await createSession(user, req);
+      const token = signAccessToken(user, session);
+
+      res.status(201).json({
+        message: "User registered successfully",
+        token,
+        refreshToken,
+        user: {
+          id: user._id,
+          username: user.username,
+          email: user.email,
+          avatar: user.avatar,
+          emailVerified: user.emailVerified,
+        },
+      });
+    } catch (error) {
+      next(error);
     }
+  }
+);
+
+// Login
+router.post(
+  "/login",
+  rateLimit("auth:login"),
+  validate(authSchemas.login),
+  async (req, res, next) => {
+    try {
+      const { email, password } = req.body;
 
-    // Check if user exists
-    const existingUser = await User.findOne({ $or: [{ email }, { username }] });
-    if (existingUser) {
-      return res.status(400).json({ error: "User already exists" });
+      // Find user
+      const user = await User.findOne({ email });
+      if (!user) {
+        return res.status(401).json({ error: "Invalid credentials" });
+      }
+
+      // Check password
+      const isMatch = await user.comparePassword(password);
+      if (!isMatch) {
+        return res.status(401).json({ error: "Invalid credentials" });
+      }
+
+      // Password is only the first step for users with 2FA; the challenge
+      // token cannot be used as an access token (it has no session)
+      if (user.twoFactorEnabled) {
+        const challengeToken = signToken(
+          { userId: user._id, purpose: "2fa" },
+          { expiresIn: TWO_FACTOR_CHALLENGE_TTL }
+        );
+        return res.json({
+          message: "Two-factor code required",
+          twoFactorRequired: true,
+          challengeToken,
+        });
+      }
+
+      res.json(await completeLogin(user, req));
+    } catch (error) {
+      next(error);
     }
+  }
+);
 
-    // Create user
-    const user = new User({ username, email, password });
-    await user.save();
+// Login step two: exchange the challenge token and a TOTP or recovery code
+router.post(
+  "/login/2fa",
+  rateLimit("auth:2fa"),
+  validate(authSchemas.loginTwoFactor),
+  async (req, res, next) => {
+    try {
+      const { challengeToken, code, recoveryCode } = req.body;
 
-    // Generate token
-    const token = jwt.sign({ userId: user._id }, JWT_SECRET, {
-      expiresIn: "7d",
-    });
+      let challenge;
+      try {
+        challenge = verifyToken(challengeToken);
+      } catch (error) {
+        return res.status(401).json({ error: "Invalid or expired challenge" });
+      }
+
+      if (challenge.purpose !== "2fa") {
+        return res.status(401).json({ error: "Invalid or expired challenge" });
+      }
 
-    res.status(201).json({
-      message: "User registered successfully",
-      token,
-      user: {
-        id: user._id,
-        username: user.username,
-        email: user.email,
-        avatar: user.avatar,
-      },
+      // Codes are also counted per user, so guesses for one account
+      // cannot be spread over many addresses
+      const limited = await consumeRateLimit("auth:2fa-user", {
+        user: challenge.userId,
+      });
+      if (!limited.allowed) {
+        res.set("Retry-After", limited.retryAfter);
+        return res.status(429).json({
+          error: "Too many two-factor attempts, please try again later",
+          retryAfter: limited.retryAfter,
+        });
+      }
+
+      const user = await findUserWithTwoFactor(challenge.userId);
+      if (!user || !(await verifySecondFactor(user, { code, recoveryCode }))) {
+        return res.status(401).json({ error: "Invalid two-factor code" });
+      }
+
+      res.json(await completeLogin(user, req));
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// Start 2FA enrollment: returns a secret and its provisioning URI
+router.post("/2fa/setup", authMiddleware, async (req, res, next) => {
+  try {
+    const user = await findUserWithTwoFactor(req.userId);
+
+    if (user.twoFactorEnabled) {
+      return res
+        .status(400)
+        .json({ error: "Two-factor authentication is already enabled" });
+    }
+
+    user.twoFactorPendingSecret = generateSecret();
+    await user.save();
+
+    res.json({
+      secret: user.twoFactorPendingSecret,
+      otpauthUrl: buildOtpauthUrl({
+        secret: user.twoFactorPendingSecret,
+        account: user.email,
+        issuer: TWO_FACTOR_ISSUER,
+      }),
     });
   } catch (error) {
-    res.status(500).json({ error: error.message });
+    next(error);
   }
 });
 
-// Login
-router.post("/login", async (req, res) => {
-  try {
-    const { email, password } = req.body;
+// Finish 2FA enrollment with a code from the authenticator app
+router.post(
+  "/2fa/enable",
+  authMiddleware,
+  validate(authSchemas.twoFactorConfirm),
+  async (req, res, next) => {
+    try {
+      const user = await findUserWithTwoFactor(req.userId);
+
+      if (user.twoFactorEnabled) {
+        return res
+          .status(400)
+          .json({ error: "Two-factor authentication is already enabled" });
+      }
+
+      if (!user.twoFactorPendingSecret) {
+        return res.status(400).json({ error: "Start two-factor setup first" });
+      }
 
-    // Validation
-    if (!email || !password) {
-      return res.status(400).json({ error: "Email and password are required" });
+      const step = verifyCode(user.twoFactorPendingSecret, req.body.code);
+      if (step === null) {
+        return res.status(400).json({ error: "Invalid two-factor code" });
+      }
+
+      const { codes, hashes } = generateRecoveryCodes();
+      user.twoFactorEnabled = true;
+      user.twoFactorSecret = user.twoFactorPendingSecret;
+      user.twoFactorPendingSecret = null;
+      user.twoFactorRecoveryCodes = hashes;
+      user.twoFactorLastStep = step;
+      await user.save();
+
+      res.json({
+        message: "Two-factor authentication enabled",
+        recoveryCodes: codes,
+      });
+    } catch (error) {
+      next(error);
     }
+  }
+);
 
-    // Find user
-    const user = await User.findOne({ email });
-    if (!user) {
-      return res.status(401).json({ error: "Invalid credentials" });
+// Replace the recovery codes (requires a current code)
+router.post(
+  "/2fa/recovery-codes",
+  authMiddleware,
+  rateLimit("auth:2fa-user"),
+  validate(authSchemas.twoFactorConfirm),
+  async (req, res, next) => {
+    try {
+      const user = await findUserWithTwoFactor(req.userId);
+
+      if (!(await verifySecondFactor(user, { code: req.body.code }))) {
+        return res.status(400).json({ error: "Invalid two-factor code" });
+      }
+
+      const { codes, hashes } = generateRecoveryCodes();
+      user.twoFactorRecoveryCodes = hashes;
+      await user.save();
+
+      res.json({ recoveryCodes: codes });
+    } catch (error) {
+      next(error);
     }
+  }
+);
+
+// Turn 2FA off (requires a current code or a recovery code)
+router.post(
+  "/2fa/disable",
+  authMiddleware,
+  rateLimit("auth:2fa-user"),
+  validate(authSchemas.twoFactorDisable),
+  async (req, res, next) => {
+    try {
+      const { code, recoveryCode } = req.body;
+      const user = await findUserWithTwoFactor(req.userId);
+
+      if (!(await verifySecondFactor(user, { code, recoveryCode }))) {
+        return res.status(400).json({ error: "Invalid two-factor code" });
+      }
 
-    // Check password
-    const isMatch = await user.comparePassword(password);
-    if (!isMatch) {
-      return res.status(401).json({ error: "Invalid credentials" });
+      user.twoFactorEnabled = false;
+      user.twoFactorSecret = null;
+      user.twoFactorPendingSecret = null;
+      user.twoFactorRecoveryCodes = [];
+      user.twoFactorLastStep = -1;
+      await user.save();
+
+      res.json({ message: "Two-factor authentication disabled" });
+    } catch (error) {
+      next(error);
     }
+  }
+);
 
-    // Update online status
-    user.isOnline = true;
-    await user.save();
+// Confirm an email address
+router.post(
+  "/verify-email",
+  rateLimit("auth:email"),
+  validate(authSchemas.verifyEmail),
+  async (req, res, next) => {
+    try {
+      const record = await consumeAuthToken(
+        req.body.token,
+        "email-verification"
+      );
 
-    // Generate token
-    const token = jwt.sign({ userId: user._id }, JWT_SECRET, {
-      expiresIn: "7d",
-    });
+      if (!record) {
+        return res
+          .status(400)
+          .json({ error: "Invalid or expired verification token" });
+      }
 
-    res.json({
-      message: "Login successful",
-      token,
-      user: {
-        id: user._id,
-        username: user.username,
-        email: user.email,
-        avatar: user.avatar,
-        isOnline: user.isOnline,
-      },
-    });
+      await User.findByIdAndUpdate(record.user, {
+        emailVerified: true,
+        emailVerifiedAt: new Date(),
+      });
+
+      res.json({ message: "Email verified successfully" });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// Send a new verification email
+router.post("/resend-verification", authMiddleware, async (req, res, next) => {
+  try {
+    if (req.user.emailVerified) {
+      return res.status(400).json({ error: "Email is already verified" });
+    }
+
+    await startEmailVerification(req.user);
+
+    res.json({ message: "Verification email sent" });
   } catch (error) {
-    res.status(500).json({ error: error.message });
+    next(error);
   }
 });
 
+// Request a password reset email
+router.post(
+  "/forgot-password",
+  rateLimit("auth:email"),
+  validate(authSchemas.forgotPassword),
+  async (req, res, next) => {
+    try {
+      const user = await User.findOne({ email: req.body.email });
+
+      if (user) {
+        const token = await issueAuthToken(
+          user._id,
+          "password-reset",
+          PASSWORD_RESET_TTL_MINUTES * 60 * 1000
+        );
+        await sendPasswordResetEmail(user, token, PASSWORD_RESET_TTL_MINUTES);
+      }
+
+      // Same answer either way, so the endpoint cannot be used to probe emails
+      res.json({
+        message: "If that email is registered, a reset link has been sent",
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// Set a new password with a reset token
+router.post(
+  "/reset-password",
+  rateLimit("auth:email"),
+  validate(authSchemas.resetPassword),
+  async (req, res, next) => {
+    try {
+      const { token, password } = req.body;
+
+      const record = await consumeAuthToken(token, "password-reset");
+      if (!record) {
+        return res
+          .status(400)
+          .json({ error: "Invalid or expired reset token" });
+      }
+
+      const user = await User.findById(record.user);
+      if (!user) {
+        return res
+          .status(400)
+          .json({ error: "Invalid or expired reset token" });
+      }
+
+      user.password = password;
+      // Receiving the email proves the user owns the address
+      if (!user.emailVerified) {
+        user.emailVerified = true;
+        user.emailVerifiedAt = new Date();
+      }
+      await user.save();
+
+      // Sign out everywhere in case the old password was compromised
+      const sessions = await Session.find({ user: user._id, revokedAt: null });
+      for (const session of sessions) {
+        await revokeSession(req.app.get("io"), session, "password reset");
+      }
+
+      res.json({
+        message: "Password reset successfully. Please log in again.",
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// Exchange a refresh token for a new access token (rotates the refresh token)
+router.post(
+  "/refresh",
+  rateLimit("auth:refresh"),
+  validate(authSchemas.refresh),
+  async (req, res, next) => {
+    try {
+      const result = await rotateRefreshToken(
+        req.app.get("io"),
+        req.body.refreshToken
+      );
+      if (result.error) {
+        return res.status(401).json({ error: result.error });
+      }
+
+      const user = await User.findById(result.session.user);
+      if (!user) {
+        return res.status(401).json({ error: "User not Found" });
+      }
+
+      res.json({
+        token: signAccessToken(user, result.session),
+        refreshToken: result.refreshToken,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
 // Get current user
 router.get("/me", authMiddleware, async (req, res) => {
   res.json({ user: req.user });
 });
 
-// Logout
-router.post("/logout", authMiddleware, async (req, res) => {
+// List active sessions
+router.get("/sessions", authMiddleware, async (req, res, next) => {
   try {
+    const sessions = await Session.find({
+      user: req.userId,
+      revokedAt: null,
+      expiresAt: { $gt: new Date() },
+    })
+      .select("-refreshTokenHash")
+      .sort({ lastUsedAt: -1 });
+
+    res.json({
+      sessions: sessions.map((session) => ({
+        ...session.toObject(),
+        current: session._id.toString() === req.sessionId,
+      })),
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Revoke all sessions except the current one
+router.delete("/sessions", authMiddleware, async (req, res, next) => {
+  try {
+    const sessions = await Session.find({
+      user: req.userId,
+      revokedAt: null,
+      _id: { $ne: req.sessionId },
+    });
+
+    for (const session of sessions) {
+      await revokeSession(req.app.get("io"), session);
+    }
+
+    res.json({ message: "Other sessions revoked", count: sessions.length });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Revoke a session
+router.delete(
+  "/sessions/:sessionId",
+  authMiddleware,
+  validate(authSchemas.sessionParams),
+  async (req, res, next) => {
+    try {
+      const session = await Session.findOne({
+        _id: req.params.sessionId,
+        user: req.userId,
+      });
+
+      if (!session) {
+        return res.status(404).json({ error: "Session not found" });
+      }
+
+      await revokeSession(req.app.get("io"), session);
+
+      res.json({ message: "Session revoked" });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// Logout (revokes the current session)
+router.post("/logout", authMiddleware, async (req, res, next) => {
+  try {
+    const session = await Session.findById(req.sessionId);
+    if (session) {
+      await revokeSession(req.app.get("io"), session, "logout");
+    }
+
     await User.findByIdAndUpdate(req.userId, {
       isOnline: false,
       lastSeen: new Date(),
     });
     res.json({ message: "Logged out successfully" });
   } catch (error) {
-    res.status(500).json({ error: error.message });
+    next(error);
   }
 });
 
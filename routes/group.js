@@ -1,24 +1,66 @@
 import express from "express";
 import Group from "../models/Group.js";
 import Message from "../models/Message.js";
+import GroupInvite from "../models/GroupInvite.js";
 import authMiddleware from "../middleware/auth.js";
 import {
   isGroupMember,
-  isGroupAdmin,
+  requireGroupPermission,
   groupExists,
-  validateGroupData,
-  canRemoveMember,
-  preventLastAdminRemoval,
-  canPromoteToAdmin,
-  validateMembers,
+  canManageGroupMember,
   checkGroupSizeLimit,
+  preventBlockedMembers,
+  resolveInvite,
   populateGroup,
 } from "../middleware/group.js";
+import { validatePagination } from "../middleware/pagination.js";
+import { rateLimit } from "../middleware/rateLimit.js";
+import { uploadSingleFile } from "../middleware/upload.js";
+import { validate } from "../middleware/validate.js";
+import * as groupSchemas from "../schemas/groups.js";
+import { paginateMessages } from "../utils/pagination.js";
+import { storeAttachment } from "../utils/attachments.js";
+import { sendGroupMessage } from "../utils/messageService.js";
+import { deleteGroup, leaveGroup } from "../utils/groups.js";
+import {
+  editMessage,
+  deleteMessage,
+  replyToPopulate,
+  emitMessageChange,
+} from "../utils/messageActions.js";
+import { markGroupRead, getSeenBy } from "../utils/readReceipts.js";
+import {
+  getGroupRole,
+  getPermissionError,
+  setGroupRole,
+  removeGroupMember,
+} from "../utils/groupPermissions.js";
+import {
+  emitGroupCreated,
+  emitGroupUpdated,
+  emitMembersAdded,
+  emitMemberRemoved,
+} from "../utils/groupEvents.js";
+import {
+  createInvite,
+  getInviteError,
+  joinWithInvite,
+  requestToJoin,
+} from "../utils/invites.js";
 
 const router = express.Router();
 
+// Permission needed to change each field of PUT /:groupId
+const fieldPermissions = {
+  name: "rename",
+  description: "rename",
+  avatarUrl: "rename",
+  pinnedTopic: "pin",
+  announcementOnly: "setAnnouncementOnly",
+};
+
 // Get all groups where user is a member
-router.get("/", authMiddleware, async (req, res) => {
+router.get("/", authMiddleware, async (req, res, next) => {
   try {
     const groups = await Group.find({ members: req.userId })
       .populate("members", "username  email")
@@ -27,22 +69,87 @@ router.get("/", authMiddleware, async (req, res) => {
 
     res.json({ groups });
   } catch (error) {
-    res.status(500).json({ error: error.message });
+    next(error);
   }
 });
 
+// Preview the group behind an invite code
+router.get(
+  "/invites/:code",
+  authMiddleware,
+  validate(groupSchemas.inviteCodeParams),
+  resolveInvite,
+  async (req, res, next) => {
+    try {
+      res.json({
+        group: {
+          _id: req.group._id,
+          name: req.group.name,
+          memberCount: req.group.members.length,
+        },
+        requiresApproval: req.invite.requiresApproval,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// Join a group with an invite code (or ask to, if the link needs approval)
+router.post(
+  "/invites/:code/join",
+  authMiddleware,
+  rateLimit("groups:join"),
+  validate(groupSchemas.inviteCodeParams),
+  resolveInvite,
+  checkGroupSizeLimit,
+  async (req, res, next) => {
+    try {
+      const isMember = req.group.members.some(
+        (id) => id.toString() === req.userId.toString()
+      );
+      if (isMember) {
+        return res
+          .status(409)
+          .json({ error: "You are already a member of this group" });
+      }
+
+      if (req.invite.requiresApproval) {
+        await requestToJoin(req.invite, req.userId);
+        return res.status(202).json({
+          message: "Your request to join is waiting for an admin's approval",
+        });
+      }
+
+      const result = await joinWithInvite(req.invite, req.userId);
+      if (result.error) {
+        return res.status(result.status).json({ error: result.error });
+      }
+
+      await result.group.populate("members", "username avatar email");
+      await result.group.populate("admins", "username avatar");
+
+      emitMembersAdded(req.app.get("io"), result.group, [req.userId], null);
+      res.json({ group: result.group, message: "Joined group successfully" });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
 // Get single group by ID
 router.get(
   "/:groupId",
   authMiddleware,
+  validate(groupSchemas.groupParams),
   groupExists,
   isGroupMember,
   populateGroup,
-  async (req, res) => {
+  async (req, res, next) => {
     try {
       res.json({ group: req.group });
     } catch (error) {
-      res.status(500).json({ error: error.message });
+      next(error);
     }
   }
 );
@@ -51,63 +158,132 @@ router.get(
 router.post(
   "/",
   authMiddleware,
-  validateGroupData,
-  validateMembers,
-  async (req, res) => {
+  rateLimit("groups:create"),
+  validate(groupSchemas.createGroup),
+  preventBlockedMembers,
+  async (req, res, next) => {
     try {
       const { name, members } = req.body;
 
-      // Create group with current user as admin
+      // Create group with current user as owner
       const group = await Group.create({
-        name: name.trim(),
+        name,
         members: [...members, req.userId],
+        owner: req.userId,
         admins: [req.userId],
       });
 
       await group.populate("members", "username avatar email");
       await group.populate("admins", "username avatar");
 
+      emitGroupCreated(req.app.get("io"), group);
       res.status(201).json({ group, message: "Group created successfully" });
     } catch (error) {
-      res.status(500).json({ error: error.message });
+      next(error);
     }
   }
 );
 
-// Update group details
+// Update group details, topic and settings. Each field needs the
+// permission for its kind of change
 router.put(
   "/:groupId",
   authMiddleware,
+  validate(groupSchemas.updateGroup),
   groupExists,
-  isGroupAdmin,
-  async (req, res) => {
+  async (req, res, next) => {
     try {
-      const { name } = req.body;
+      const { avatarUrl, ...updates } = req.body;
+      const fields = Object.keys(req.body);
 
-      if (!name || name.trim().length === 0) {
-        return res.status(400).json({ error: "Group name is required" });
+      if (fields.length === 0) {
+        return res.status(400).json({ error: "No changes provided" });
       }
 
-      if (name.trim().length < 3) {
-        return res
-          .status(400)
-          .json({ error: "Group name must be at least 3 characters" });
+      const permissions = new Set(
+        fields.map((field) => fieldPermissions[field])
+      );
+      for (const permission of permissions) {
+        const permissionError = getPermissionError(
+          req.group,
+          req.userId,
+          permission
+        );
+        if (permissionError) {
+          return res
+            .status(permissionError.status)
+            .json({ error: permissionError.error });
+        }
       }
 
-      if (name.trim().length > 50) {
-        return res
-          .status(400)
-          .json({ error: "Group name must not exceed 50 characters" });
+      Object.assign(req.group, updates);
+      if (avatarUrl !== undefined) {
+        req.group.avatar = { url: avatarUrl || null, attachment: null };
       }
-
-      req.group.name = name.trim();
       await req.group.save();
       await req.group.populate("members", "username avatar email");
       await req.group.populate("admins", "username avatar");
 
+      emitGroupUpdated(req.app.get("io"), req.group);
       res.json({ group: req.group, message: "Group updated successfully" });
     } catch (error) {
-      res.status(500).json({ error: error.message });
+      next(error);
+    }
+  }
+);
+
+// Upload a group avatar image
+router.post(
+  "/:groupId/avatar",
+  authMiddleware,
+  rateLimit("attachments:upload"),
+  validate(groupSchemas.groupParams),
+  groupExists,
+  requireGroupPermission("rename"),
+  uploadSingleFile,
+  async (req, res, next) => {
+    try {
+      if (!req.file.mimetype.startsWith("image/")) {
+        return res.status(415).json({ error: "Avatar must be an image" });
+      }
+
+      const attachment = await storeAttachment({
+        file: req.file,
+        uploaderId: req.userId,
+        groupId: req.group._id,
+      });
+
+      req.group.avatar = { url: attachment.url, attachment: attachment._id };
+      await req.group.save();
+      await req.group.populate("members", "username avatar email");
+      await req.group.populate("admins", "username avatar");
+
+      emitGroupUpdated(req.app.get("io"), req.group);
+      res.json({ group: req.group, message: "Group avatar updated" });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// Remove the group avatar
+router.delete(
+  "/:groupId/avatar",
+  authMiddleware,
+  validate(groupSchemas.groupParams),
+  groupExists,
+  requireGroupPermission("rename"),
+  async (req, res, next) => {
+    try {
+      req.group.avatar = { url: null, attachment: null };
+      await req.group.save();
+      await req.group.populate("members", "username avatar email");
+      await req.group.populate("admins", "username avatar");
+
+      emitGroupUpdated(req.app.get("io"), req.group);
+      res.json({ group: req.group, message: "Group avatar removed" });
+    } catch (error) {
+      next(error);
     }
   }
 );
@@ -116,30 +292,32 @@ router.put(
 router.post(
   "/:groupId/members",
   authMiddleware,
+  validate(groupSchemas.addMembers),
   groupExists,
-  isGroupAdmin,
-  validateMembers,
+  requireGroupPermission("addMembers"),
   checkGroupSizeLimit,
-  async (req, res) => {
+  preventBlockedMembers,
+  async (req, res, next) => {
     try {
       const { members } = req.body;
 
       // Add new members (avoid duplicates)
-      members.forEach((memberId) => {
-        if (
+      const added = members.filter(
+        (memberId) =>
           !req.group.members.some((id) => id.toString() === memberId.toString())
-        ) {
-          req.group.members.push(memberId);
-        }
-      });
+      );
+      req.group.members.push(...added);
 
       await req.group.save();
       await req.group.populate("members", "username avatar email");
       await req.group.populate("admins", "username avatar");
 
+      if (added.length > 0) {
+        emitMembersAdded(req.app.get("io"), req.group, added, req.userId);
+      }
       res.json({ group: req.group, message: "Members added successfully" });
     } catch (error) {
-      res.status(500).json({ error: error.message });
+      next(error);
     }
   }
 );
@@ -148,109 +326,390 @@ router.post(
 router.delete(
   "/:groupId/members/:memberId",
   authMiddleware,
-  canRemoveMember,
-  async (req, res) => {
+  validate(groupSchemas.memberParams),
+  groupExists,
+  requireGroupPermission("removeMembers"),
+  canManageGroupMember,
+  async (req, res, next) => {
     try {
-      const { memberId } = req.params;
-
-      req.group.members = req.group.members.filter(
-        (id) => id.toString() !== memberId
-      );
+      removeGroupMember(req.group, req.params.memberId);
       await req.group.save();
       await req.group.populate("members", "username avatar email");
       await req.group.populate("admins", "username avatar");
 
+      emitMemberRemoved(
+        req.app.get("io"),
+        req.group,
+        req.params.memberId,
+        req.userId
+      );
       res.json({ group: req.group, message: "Member removed successfully" });
     } catch (error) {
-      res.status(500).json({ error: error.message });
+      next(error);
     }
   }
 );
 
-// Leave group
+// List the group's invite links, with pending join requests
+router.get(
+  "/:groupId/invites",
+  authMiddleware,
+  validate(groupSchemas.groupParams),
+  groupExists,
+  requireGroupPermission("addMembers"),
+  async (req, res, next) => {
+    try {
+      const invites = await GroupInvite.find({
+        group: req.params.groupId,
+        revokedAt: null,
+      })
+        .populate("createdBy", "username avatar")
+        .populate("pendingRequests.user", "username avatar")
+        .sort({ createdAt: -1 });
+
+      res.json({ invites });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// Create an invite link
 router.post(
-  "/:groupId/leave",
+  "/:groupId/invites",
   authMiddleware,
+  validate(groupSchemas.createInvite),
   groupExists,
-  isGroupMember,
-  async (req, res) => {
+  requireGroupPermission("addMembers"),
+  async (req, res, next) => {
     try {
-      const userId = req.userId;
+      const { expiresAt, maxUses, requiresApproval } = req.body;
+
+      if (expiresAt && expiresAt <= new Date()) {
+        return res.status(400).json({ error: "Expiry must be in the future" });
+      }
 
-      // Remove user from members and admins
-      req.group.members = req.group.members.filter(
-        (id) => id.toString() !== userId.toString()
+      const invite = await createInvite({
+        groupId: req.params.groupId,
+        userId: req.userId,
+        expiresAt,
+        maxUses,
+        requiresApproval,
+      });
+
+      res.status(201).json({ invite, message: "Invite link created" });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// Revoke an invite link; pending join requests on it are dropped
+router.delete(
+  "/:groupId/invites/:inviteId",
+  authMiddleware,
+  validate(groupSchemas.inviteParams),
+  groupExists,
+  requireGroupPermission("addMembers"),
+  async (req, res, next) => {
+    try {
+      const invite = await GroupInvite.findOneAndUpdate(
+        {
+          _id: req.params.inviteId,
+          group: req.params.groupId,
+          revokedAt: null,
+        },
+        { revokedAt: new Date(), pendingRequests: [] }
       );
-      req.group.admins = req.group.admins.filter(
-        (id) => id.toString() !== userId.toString()
+
+      if (!invite) {
+        return res.status(404).json({ error: "Invite not found" });
+      }
+
+      res.json({ message: "Invite link revoked" });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// Approve a join request; it counts as one use of the link
+router.post(
+  "/:groupId/invites/:inviteId/requests/:userId",
+  authMiddleware,
+  validate(groupSchemas.joinRequestParams),
+  groupExists,
+  requireGroupPermission("addMembers"),
+  checkGroupSizeLimit,
+  async (req, res, next) => {
+    try {
+      const { groupId, inviteId, userId } = req.params;
+      const invite = await GroupInvite.findOne({
+        _id: inviteId,
+        group: groupId,
+        "pendingRequests.user": userId,
+      });
+
+      if (!invite) {
+        return res.status(404).json({ error: "Join request not found" });
+      }
+
+      const isMember = req.group.members.some((id) => id.toString() === userId);
+      if (isMember) {
+        return res
+          .status(409)
+          .json({ error: "User is already a member of this group" });
+      }
+
+      const inviteError = getInviteError(invite);
+      if (inviteError) {
+        return res
+          .status(inviteError.status)
+          .json({ error: inviteError.error });
+      }
+
+      const result = await joinWithInvite(invite, userId);
+      if (result.error) {
+        return res.status(result.status).json({ error: result.error });
+      }
+
+      await result.group.populate("members", "username avatar email");
+      await result.group.populate("admins", "username avatar");
+
+      emitMembersAdded(req.app.get("io"), result.group, [userId], req.userId);
+      res.json({ group: result.group, message: "Join request approved" });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// Reject a join request
+router.delete(
+  "/:groupId/invites/:inviteId/requests/:userId",
+  authMiddleware,
+  validate(groupSchemas.joinRequestParams),
+  groupExists,
+  requireGroupPermission("addMembers"),
+  async (req, res, next) => {
+    try {
+      const { groupId, inviteId, userId } = req.params;
+      const result = await GroupInvite.updateOne(
+        { _id: inviteId, group: groupId, "pendingRequests.user": userId },
+        { $pull: { pendingRequests: { user: userId } } }
       );
 
-      // If no admins left and group has members, make first member admin
-      if (req.group.admins.length === 0 && req.group.members.length > 0) {
-        req.group.admins.push(req.group.members[0]);
+      if (result.modifiedCount === 0) {
+        return res.status(404).json({ error: "Join request not found" });
       }
 
-      // If no members left, delete the group
-      if (req.group.members.length === 0) {
-        await Message.deleteMany({ group: req.params.groupId });
-        await Group.findByIdAndDelete(req.params.groupId);
-        return res.json({ message: "Group deleted as no members remain" });
+      res.json({ message: "Join request rejected" });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// Leave group
+router.post(
+  "/:groupId/leave",
+  authMiddleware,
+  validate(groupSchemas.groupParams),
+  groupExists,
+  isGroupMember,
+  async (req, res, next) => {
+    try {
+      const result = await leaveGroup(req.app.get("io"), req.group, req.userId);
+      if (result.error) {
+        return res.status(result.status).json({ error: result.error });
       }
 
-      await req.group.save();
+      if (result.deleted) {
+        return res.json({ message: "Group deleted as no members remain" });
+      }
       res.json({ message: "You have left the group" });
     } catch (error) {
-      res.status(500).json({ error: error.message });
+      next(error);
     }
   }
 );
 
-// Get group messages
+// Get group messages (paginated, oldest first)
 router.get(
   "/:groupId/messages",
   authMiddleware,
+  validate(groupSchemas.groupParams),
   groupExists,
   isGroupMember,
-  async (req, res) => {
+  validatePagination,
+  async (req, res, next) => {
     try {
-      const messages = await Message.find({ group: req.params.groupId })
-        .populate("sender", "username avatar")
-        .sort({ createdAt: 1 });
+      const result = await paginateMessages(
+        { group: req.params.groupId, deletedFor: { $ne: req.userId } },
+        req.pagination,
+        ["sender", replyToPopulate]
+      );
 
-      res.json({ messages });
+      if (!result) {
+        return res.status(404).json({ error: "Cursor message not found" });
+      }
+
+      res.json(result);
     } catch (error) {
-      res.status(500).json({ error: error.message });
+      next(error);
     }
   }
 );
 
-// Send group message
+// Send group message (delivered in real time like send-group-message)
 router.post(
   "/:groupId/messages",
   authMiddleware,
+  rateLimit("messages:send"),
+  validate(groupSchemas.sendGroupMessage),
+  async (req, res, next) => {
+    try {
+      const result = await sendGroupMessage(req.app.get("io"), {
+        senderId: req.userId,
+        groupId: req.params.groupId,
+        ...req.body,
+      });
+
+      if (result.error) {
+        return res.status(result.status).json({ error: result.error });
+      }
+
+      res.status(201).json({ message: result.message });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// Mark group messages as read (up to messageId, or everything)
+router.put(
+  "/:groupId/read",
+  authMiddleware,
+  validate(groupSchemas.markGroupRead),
   groupExists,
   isGroupMember,
-  async (req, res) => {
+  async (req, res, next) => {
     try {
-      const { content, messageType } = req.body;
+      const result = await markGroupRead({
+        groupId: req.params.groupId,
+        userId: req.userId,
+        messageId: req.body.messageId,
+      });
 
-      if (!content || content.trim().length === 0) {
-        return res.status(400).json({ error: "Message content is required" });
+      if (result.error) {
+        return res.status(result.status).json({ error: result.error });
       }
 
-      const message = new Message({
-        sender: req.userId,
+      if (result.changed) {
+        req.app.get("io").to(req.params.groupId).emit("group-messages-read", {
+          groupId: req.params.groupId,
+          readBy: req.userId,
+          lastReadAt: result.receipt.lastReadAt,
+          lastReadMessage: result.receipt.lastReadMessage,
+        });
+      }
+
+      res.json({ message: "Messages marked as read", receipt: result.receipt });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// Get the members who have seen a group message
+router.get(
+  "/:groupId/messages/:messageId/seen",
+  authMiddleware,
+  validate(groupSchemas.groupMessageParams),
+  groupExists,
+  isGroupMember,
+  async (req, res, next) => {
+    try {
+      const message = await Message.findOne({
+        _id: req.params.messageId,
         group: req.params.groupId,
-        content: content.trim(),
-        messageType: messageType || "text",
       });
 
-      await message.save();
-      await message.populate("sender", "username avatar");
+      if (!message) {
+        return res.status(404).json({ error: "Message not found" });
+      }
+
+      res.json(await getSeenBy(message, req.group));
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// Edit a group message
+router.put(
+  "/:groupId/messages/:messageId",
+  authMiddleware,
+  validate(groupSchemas.editGroupMessage),
+  groupExists,
+  isGroupMember,
+  async (req, res, next) => {
+    try {
+      const result = await editMessage({
+        messageId: req.params.messageId,
+        userId: req.userId,
+        content: req.body.content,
+        groupId: req.params.groupId,
+      });
+
+      if (result.error) {
+        return res.status(result.status).json({ error: result.error });
+      }
+
+      emitMessageChange(
+        req.app.get("io"),
+        "message-edited",
+        result,
+        req.userId
+      );
+
+      res.json({ message: result.message });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// Delete a group message (?scope=me or ?scope=everyone)
+router.delete(
+  "/:groupId/messages/:messageId",
+  authMiddleware,
+  validate(groupSchemas.deleteGroupMessage),
+  groupExists,
+  isGroupMember,
+  async (req, res, next) => {
+    try {
+      const result = await deleteMessage({
+        messageId: req.params.messageId,
+        userId: req.userId,
+        scope: req.query.scope,
+        groupId: req.params.groupId,
+      });
+
+      if (result.error) {
+        return res.status(result.status).json({ error: result.error });
+      }
+
+      emitMessageChange(
+        req.app.get("io"),
+        "message-deleted",
+        result,
+        req.userId
+      );
 
-      res.status(201).json({ message });
+      res.json({ message: "Message deleted", scope: result.scope });
     } catch (error) {
-      res.status(500).json({ error: error.message });
+      next(error);
     }
   }
 );
@@ -259,21 +718,27 @@ router.post(
 router.post(
   "/:groupId/admins/:memberId",
   authMiddleware,
+  validate(groupSchemas.memberParams),
   groupExists,
-  isGroupAdmin,
-  canPromoteToAdmin,
-  async (req, res) => {
+  requireGroupPermission("manageRoles"),
+  canManageGroupMember,
+  async (req, res, next) => {
     try {
       const { memberId } = req.params;
 
-      req.group.admins.push(memberId);
+      if (getGroupRole(req.group, memberId) === "admin") {
+        return res.status(400).json({ error: "User is already an admin" });
+      }
+
+      setGroupRole(req.group, memberId, "admin");
       await req.group.save();
       await req.group.populate("members", "username avatar email");
       await req.group.populate("admins", "username avatar");
 
+      emitGroupUpdated(req.app.get("io"), req.group);
       res.json({ group: req.group, message: "User promoted to admin" });
     } catch (error) {
-      res.status(500).json({ error: error.message });
+      next(error);
     }
   }
 );
@@ -282,23 +747,113 @@ router.post(
 router.delete(
   "/:groupId/admins/:memberId",
   authMiddleware,
+  validate(groupSchemas.memberParams),
   groupExists,
-  isGroupAdmin,
-  preventLastAdminRemoval,
-  async (req, res) => {
+  requireGroupPermission("manageRoles"),
+  canManageGroupMember,
+  async (req, res, next) => {
     try {
       const { memberId } = req.params;
 
-      req.group.admins = req.group.admins.filter(
-        (id) => id.toString() !== memberId
-      );
+      if (getGroupRole(req.group, memberId) !== "admin") {
+        return res.status(400).json({ error: "User is not an admin" });
+      }
+
+      setGroupRole(req.group, memberId, "member");
       await req.group.save();
       await req.group.populate("members", "username avatar email");
       await req.group.populate("admins", "username avatar");
 
+      emitGroupUpdated(req.app.get("io"), req.group);
       res.json({ group: req.group, message: "Admin role removed" });
     } catch (error) {
-      res.status(500).json({ error: error.message });
+      next(error);
+    }
+  }
+);
+
+// Set a member's role (member, moderator or admin)
+router.put(
+  "/:groupId/members/:memberId/role",
+  authMiddleware,
+  validate(groupSchemas.setMemberRole),
+  groupExists,
+  requireGroupPermission("manageRoles"),
+  canManageGroupMember,
+  async (req, res, next) => {
+    try {
+      setGroupRole(req.group, req.params.memberId, req.body.role);
+      await req.group.save();
+      await req.group.populate("members", "username avatar email");
+      await req.group.populate("admins", "username avatar");
+
+      emitGroupUpdated(req.app.get("io"), req.group);
+      res.json({ group: req.group, message: "Member role updated" });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// Hand the group over to another member; the old owner stays an admin
+router.put(
+  "/:groupId/owner/:memberId",
+  authMiddleware,
+  validate(groupSchemas.memberParams),
+  groupExists,
+  requireGroupPermission("transferOwnership"),
+  async (req, res, next) => {
+    try {
+      const { memberId } = req.params;
+      const role = getGroupRole(req.group, memberId);
+
+      if (!role) {
+        return res
+          .status(400)
+          .json({ error: "User is not a member of this group" });
+      }
+      if (role === "owner") {
+        return res.status(400).json({ error: "User already owns this group" });
+      }
+
+      setGroupRole(req.group, req.userId, "admin");
+      setGroupRole(req.group, memberId, "admin");
+      req.group.owner = memberId;
+      await req.group.save();
+      await req.group.populate("members", "username avatar email");
+      await req.group.populate("admins", "username avatar");
+
+      emitGroupUpdated(req.app.get("io"), req.group);
+      res.json({ group: req.group, message: "Ownership transferred" });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// Change which roles may post, add members, rename, pin or delete others'
+// messages
+router.put(
+  "/:groupId/permissions",
+  authMiddleware,
+  validate(groupSchemas.updatePermissions),
+  groupExists,
+  requireGroupPermission("changePermissions"),
+  async (req, res, next) => {
+    try {
+      Object.assign(req.group.permissions, req.body);
+      await req.group.save();
+      await req.group.populate("members", "username avatar email");
+      await req.group.populate("admins", "username avatar");
+
+      emitGroupUpdated(req.app.get("io"), req.group);
+
+      res.json({
+        permissions: req.group.permissions,
+        message: "Group permissions updated",
+      });
+    } catch (error) {
+      next(error);
     }
   }
 );
@@ -307,19 +862,16 @@ router.delete(
 router.delete(
   "/:groupId",
   authMiddleware,
+  validate(groupSchemas.groupParams),
   groupExists,
-  isGroupAdmin,
-  async (req, res) => {
+  requireGroupPermission("deleteGroup"),
+  async (req, res, next) => {
     try {
-      // Delete all group messages
-      await Message.deleteMany({ group: req.params.groupId });
-
-      // Delete the group
-      await Group.findByIdAndDelete(req.params.groupId);
-
+      // Deletes its messages, read positions, invite links and webhooks too
+      await deleteGroup(req.app.get("io"), req.params.groupId, req.userId);
       res.json({ message: "Group deleted successfully" });
     } catch (error) {
-      res.status(500).json({ error: error.message });
+      next(error);
     }
   }
 );
@@ -1,96 +1,261 @@
 import express from "express";
 import Message from "../models/Message.js";
 import authMiddleware from "../middleware/auth.js";
+import { rateLimit } from "../middleware/rateLimit.js";
+import { validate } from "../middleware/validate.js";
+import * as messageSchemas from "../schemas/messages.js";
+import { getUnreadCounts } from "../utils/readReceipts.js";
+import { markConversationRead } from "../utils/delivery.js";
+import { validatePagination } from "../middleware/pagination.js";
+import { paginateMessages } from "../utils/pagination.js";
+import { searchMessages } from "../utils/search.js";
+import { sendDirectMessage } from "../utils/messageService.js";
+import { syncMissed } from "../utils/sync.js";
+import {
+  editMessage,
+  deleteMessage,
+  loadThread,
+  replyToPopulate,
+  emitMessageChange,
+} from "../utils/messageActions.js";
 
 const router = express.Router();
 
-// Get conversation between two users
-router.get("/:userId", authMiddleware, async (req, res) => {
-  try {
-    const { userId } = req.params;
-    const currentUserId = req.userId;
-
-    const messages = await Message.find({
-      $or: [
-        { sender: currentUserId, receiver: userId },
-        { sender: userId, receiver: currentUserId },
-      ],
-    })
-      .populate("sender", "username avatar")
-      .populate("receiver", "username avatar")
-      .sort({ createdAt: 1 });
-
-    res.json({ messages });
-  } catch (error) {
-    res.status(500).json({ error: error.message });
+// Search message content across the user's DMs and groups (newest first)
+// Registered before /:userId so "search" is not taken for a user ID
+router.get(
+  "/search",
+  authMiddleware,
+  validate(messageSchemas.searchMessages),
+  async (req, res, next) => {
+    try {
+      const { q, sender, group, from, to, type, limit, before } = req.query;
+
+      const result = await searchMessages({
+        userId: req.userId,
+        q,
+        sender,
+        group,
+        partner: req.query.with,
+        from,
+        to,
+        type,
+        limit,
+        before,
+      });
+
+      if (result.error) {
+        return res.status(result.status).json({ error: result.error });
+      }
+
+      res.json(result);
+    } catch (error) {
+      next(error);
+    }
   }
-});
+);
 
-// Send message (REST endpoint, but Socket.IO is preferred for real-time)
-router.post("/", authMiddleware, async (req, res) => {
-  try {
-    const { receiver, content, messageType } = req.body;
+// Fetch what the client missed while disconnected (see utils/sync.js);
+// the same as the sync socket event
+router.post(
+  "/sync",
+  authMiddleware,
+  rateLimit("messages:sync"),
+  validate(messageSchemas.syncMessages),
+  async (req, res, next) => {
+    try {
+      const result = await syncMissed({ userId: req.userId, ...req.body });
+      res.json(result);
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// Get conversation between two users (paginated, oldest first)
+router.get(
+  "/:userId",
+  authMiddleware,
+  validate(messageSchemas.conversationParams),
+  validatePagination,
+  async (req, res, next) => {
+    try {
+      const { userId } = req.params;
+      const currentUserId = req.userId;
+
+      const result = await paginateMessages(
+        {
+          $or: [
+            { sender: currentUserId, receiver: userId },
+            { sender: userId, receiver: currentUserId },
+          ],
+          deletedFor: { $ne: currentUserId },
+        },
+        req.pagination,
+        ["sender", "receiver", replyToPopulate]
+      );
+
+      if (!result) {
+        return res.status(404).json({ error: "Cursor message not found" });
+      }
 
-    if (!receiver || !content) {
-      return res
-        .status(400)
-        .json({ error: "Receiver and content are required" });
+      res.json(result);
+    } catch (error) {
+      next(error);
     }
+  }
+);
 
-    const message = new Message({
-      sender: req.userId,
-      receiver,
-      content,
-      messageType: messageType || "text",
-    });
+// Send message (delivered in real time like the send-message socket event)
+router.post(
+  "/",
+  authMiddleware,
+  rateLimit("messages:send"),
+  validate(messageSchemas.sendMessage),
+  async (req, res, next) => {
+    try {
+      const { receiver, ...fields } = req.body;
+      const result = await sendDirectMessage(req.app.get("io"), {
+        senderId: req.userId,
+        receiverId: receiver,
+        ...fields,
+      });
 
-    await message.save();
-    await message.populate("sender", "username avatar");
-    await message.populate("receiver", "username avatar");
+      if (result.error) {
+        return res
+          .status(result.status)
+          .json({ error: result.error, code: result.code });
+      }
 
-    res.status(201).json({ message });
-  } catch (error) {
-    res.status(500).json({ error: error.message });
+      res.status(201).json({ message: result.message });
+    } catch (error) {
+      next(error);
+    }
   }
-});
+);
 
-// Mark messages as read
-router.put("/read/:userId", authMiddleware, async (req, res) => {
-  try {
-    await Message.updateMany(
-      {
-        sender: req.params.userId,
-        receiver: req.userId,
-        isRead: false,
-      },
-      {
-        isRead: true,
-        readAt: new Date(),
+// Get a message thread (root message plus paginated replies)
+router.get(
+  "/:messageId/thread",
+  authMiddleware,
+  validate(messageSchemas.messageParams),
+  validatePagination,
+  async (req, res, next) => {
+    try {
+      const result = await loadThread({
+        messageId: req.params.messageId,
+        userId: req.userId,
+        pagination: req.pagination,
+      });
+
+      if (result.error) {
+        return res.status(result.status).json({ error: result.error });
       }
-    );
 
-    res.json({ message: "Messages marked as read" });
-  } catch (error) {
-    res.status(500).json({ error: error.message });
+      res.json(result);
+    } catch (error) {
+      next(error);
+    }
   }
-});
+);
+
+// Edit a message
+router.put(
+  "/:messageId",
+  authMiddleware,
+  validate(messageSchemas.editMessage),
+  async (req, res, next) => {
+    try {
+      const result = await editMessage({
+        messageId: req.params.messageId,
+        userId: req.userId,
+        content: req.body.content,
+      });
+
+      if (result.error) {
+        return res.status(result.status).json({ error: result.error });
+      }
 
-// Get unread message count
-router.get("/unread/count", authMiddleware, async (req, res) => {
+      emitMessageChange(
+        req.app.get("io"),
+        "message-edited",
+        result,
+        req.userId
+      );
+
+      res.json({ message: result.message });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// Delete a message (?scope=me or ?scope=everyone)
+router.delete(
+  "/:messageId",
+  authMiddleware,
+  validate(messageSchemas.deleteMessage),
+  async (req, res, next) => {
+    try {
+      const result = await deleteMessage({
+        messageId: req.params.messageId,
+        userId: req.userId,
+        scope: req.query.scope,
+      });
+
+      if (result.error) {
+        return res.status(result.status).json({ error: result.error });
+      }
+
+      emitMessageChange(
+        req.app.get("io"),
+        "message-deleted",
+        result,
+        req.userId
+      );
+
+      res.json({ message: "Message deleted", scope: result.scope });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// Mark messages as read
+router.put(
+  "/read/:userId",
+  authMiddleware,
+  validate(messageSchemas.conversationParams),
+  async (req, res, next) => {
+    try {
+      const { messageIds } = await markConversationRead(req.app.get("io"), {
+        readerId: req.userId,
+        senderId: req.params.userId,
+      });
+
+      res.json({
+        message: "Messages marked as read",
+        count: messageIds.length,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// Get unread message counts (total, per DM partner and per group)
+router.get("/unread/count", authMiddleware, async (req, res, next) => {
   try {
-    const count = await Message.countDocuments({
-      receiver: req.userId,
-      isRead: false,
-    });
+    const counts = await getUnreadCounts(req.userId);
 
-    res.json({ count });
+    res.json(counts);
   } catch (error) {
-    res.status(500).json({ error: error.message });
+    next(error);
   }
 });
 
 // Get all conversations (unique users you've chatted with)
-router.get("/conversations/list", authMiddleware, async (req, res) => {
+router.get("/conversations/list", authMiddleware, async (req, res, next) => {
   try {
     const conversations = await Message.aggregate([
       {
@@ -134,11 +299,22 @@ router.get("/conversations/list", authMiddleware, async (req, res) => {
       {
         $unwind: "$user",
       },
+      // Only public profile fields; aggregation ignores `select: false`
       {
         $project: {
-          "user.password": 0,
+          lastMessage: 1,
+          unreadCount: 1,
+          "user._id": 1,
+          "user.username": 1,
+          "user.avatar": 1,
+          "user.isOnline": 1,
+          "user.lastSeen": 1,
         },
       },
+      // Hidden from clients, like in Message's toJSON
+      {
+        $project: { "lastMessage.deletedFor": 0 },
+      },
       {
         $sort: { "lastMessage.createdAt": -1 },
       },
@@ -146,7 +322,7 @@ router.get("/conversations/list", authMiddleware, async (req, res) => {
 
     res.json({ conversations });
   } catch (error) {
-    res.status(500).json({ error: error.message });
+    next(error);
   }
 });
 
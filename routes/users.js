@@ -1,55 +1,199 @@
 import express from "express";
 import User from "../models/User.js";
 import authMiddleware from "../middleware/auth.js";
+import { validate } from "../middleware/validate.js";
+import * as userSchemas from "../schemas/users.js";
+import {
+  getHiddenUserIds,
+  hidePresence,
+  emitOnlineUsers,
+} from "../utils/blocks.js";
 
 const router = express.Router();
 
+// Read the current user's block or mute list (populated)
+const loadRelationList = async (userId, field) => {
+  const user = await User.findById(userId)
+    .select(`+${field}`)
+    .populate(field, "username avatar");
+  return user[field];
+};
+
+// Add or remove a user on the current user's block or mute list
+const updateRelationList = async (userId, targetId, field, add) => {
+  if (targetId === userId.toString()) {
+    return { error: "You cannot block or mute yourself", status: 400 };
+  }
+
+  if (add && !(await User.exists({ _id: targetId }))) {
+    return { error: "User not found", status: 404 };
+  }
+
+  await User.findByIdAndUpdate(userId, {
+    [add ? "$addToSet" : "$pull"]: { [field]: targetId },
+  });
+
+  return { users: await loadRelationList(userId, field) };
+};
+
 // Get all users except current user
-router.get("/", authMiddleware, async (req, res) => {
+router.get("/", authMiddleware, async (req, res, next) => {
   try {
     const users = await User.find({ _id: { $ne: req.userId } })
       .select("-password")
       .sort({ isOnline: -1, username: 1 });
+    const hidden = await getHiddenUserIds(req.userId);
 
-    res.json({ users });
+    res.json({ users: hidePresence(users, hidden) });
   } catch (error) {
-    res.status(500).json({ error: error.message });
+    next(error);
   }
 });
 
-// Get user by ID
-router.get("/:userId", authMiddleware, async (req, res) => {
+// List blocked users
+router.get("/blocks", authMiddleware, async (req, res, next) => {
   try {
-    const user = await User.findById(req.params.userId).select("-password");
+    res.json({ users: await loadRelationList(req.userId, "blockedUsers") });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Block (PUT) or unblock (DELETE) a user. Blocking stops DMs, typing,
+// presence and group adds in both directions
+const handleBlock = (block) => async (req, res, next) => {
+  try {
+    const result = await updateRelationList(
+      req.userId,
+      req.params.userId,
+      "blockedUsers",
+      block
+    );
 
-    if (!user) {
-      return res.status(404).json({ error: "User not found" });
+    if (result.error) {
+      return res.status(result.status).json({ error: result.error });
     }
 
-    res.json({ user });
+    // Each side stops (or starts again) seeing the other online
+    const io = req.app.get("io");
+    await emitOnlineUsers(io, req.userId);
+    await emitOnlineUsers(io, req.params.userId);
+
+    res.json({
+      users: result.users,
+      message: block ? "User blocked" : "User unblocked",
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+router.put(
+  "/blocks/:userId",
+  authMiddleware,
+  validate(userSchemas.relationParams),
+  handleBlock(true)
+);
+
+router.delete(
+  "/blocks/:userId",
+  authMiddleware,
+  validate(userSchemas.relationParams),
+  handleBlock(false)
+);
+
+// List muted users
+router.get("/mutes", authMiddleware, async (req, res, next) => {
+  try {
+    res.json({ users: await loadRelationList(req.userId, "mutedUsers") });
   } catch (error) {
-    res.status(500).json({ error: error.message });
+    next(error);
   }
 });
 
-// Search users
-router.get("/search/:query", authMiddleware, async (req, res) => {
+// Mute (PUT) or unmute (DELETE) a user. Messages from muted users still
+// arrive but raise no notifications
+const handleMute = (mute) => async (req, res, next) => {
   try {
-    const { query } = req.params;
-    const users = await User.find({
-      _id: { $ne: req.userId },
-      $or: [
-        { username: { $regex: query, $options: "i" } },
-        { email: { $regex: query, $options: "i" } },
-      ],
-    })
-      .select("-password")
-      .limit(10);
+    const result = await updateRelationList(
+      req.userId,
+      req.params.userId,
+      "mutedUsers",
+      mute
+    );
+
+    if (result.error) {
+      return res.status(result.status).json({ error: result.error });
+    }
 
-    res.json({ users });
+    res.json({
+      users: result.users,
+      message: mute ? "User muted" : "User unmuted",
+    });
   } catch (error) {
-    res.status(500).json({ error: error.message });
+    next(error);
   }
-});
+};
+
+router.put(
+  "/mutes/:userId",
+  authMiddleware,
+  validate(userSchemas.relationParams),
+  handleMute(true)
+);
+
+router.delete(
+  "/mutes/:userId",
+  authMiddleware,
+  validate(userSchemas.relationParams),
+  handleMute(false)
+);
+
+// Get user by ID
+router.get(
+  "/:userId",
+  authMiddleware,
+  validate(userSchemas.userParams),
+  async (req, res, next) => {
+    try {
+      const user = await User.findById(req.params.userId).select("-password");
+
+      if (!user) {
+        return res.status(404).json({ error: "User not found" });
+      }
+
+      const hidden = await getHiddenUserIds(req.userId);
+      res.json({ user: hidePresence([user], hidden)[0] });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// Search users
+router.get(
+  "/search/:query",
+  authMiddleware,
+  validate(userSchemas.searchUsers),
+  async (req, res, next) => {
+    try {
+      const { query } = req.params;
+      const users = await User.find({
+        _id: { $ne: req.userId },
+        $or: [
+          { username: { $regex: query, $options: "i" } },
+          { email: { $regex: query, $options: "i" } },
+        ],
+      })
+        .select("-password")
+        .limit(10);
+      const hidden = await getHiddenUserIds(req.userId);
+
+      res.json({ users: hidePresence(users, hidden) });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
 
 export default router;
@@ -0,0 +1,266 @@
+import express from "express";
+import Webhook from "../models/Webhook.js";
+import WebhookDelivery from "../models/WebhookDelivery.js";
+import authMiddleware from "../middleware/auth.js";
+import {
+  requireWebhookScope,
+  loadManagedWebhook,
+} from "../middleware/webhook.js";
+import { rateLimit } from "../middleware/rateLimit.js";
+import { validate } from "../middleware/validate.js";
+import * as webhookSchemas from "../schemas/webhooks.js";
+import { generateWebhookSecret } from "../services/webhooks/signature.js";
+import { redeliver } from "../services/webhooks/index.js";
+import { checkWebhookTarget } from "../services/webhooks/targets.js";
+
+const router = express.Router();
+
+// Per user (personal webhooks) and per group
+const MAX_WEBHOOKS = 10;
+
+// Personal webhooks, or a group's with ?groupId=
+router.get(
+  "/",
+  authMiddleware,
+  validate(webhookSchemas.listWebhooks),
+  requireWebhookScope,
+  async (req, res, next) => {
+    try {
+      const filter = req.group
+        ? { group: req.group._id }
+        : { owner: req.userId, group: null };
+
+      const webhooks = await Webhook.find(filter).sort({ createdAt: -1 });
+      res.json({ webhooks });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// Create a webhook; the response is the only time its secret is shown
+router.post(
+  "/",
+  authMiddleware,
+  rateLimit("webhooks:create"),
+  validate(webhookSchemas.createWebhook),
+  requireWebhookScope,
+  async (req, res, next) => {
+    try {
+      const { url, events, description } = req.body;
+      const group = req.group?._id || null;
+
+      const count = await Webhook.countDocuments(
+        group ? { group } : { owner: req.userId, group: null }
+      );
+      if (count >= MAX_WEBHOOKS) {
+        return res.status(400).json({
+          error: `Webhook limit reached. Maximum ${MAX_WEBHOOKS} webhooks allowed.`,
+        });
+      }
+
+      const targetError = await checkWebhookTarget(url);
+      if (targetError) {
+        return res
+          .status(targetError.status)
+          .json({ error: targetError.error });
+      }
+
+      const webhook = await Webhook.create({
+        owner: req.userId,
+        group,
+        url,
+        events,
+        description: description || "",
+        secret: generateWebhookSecret(),
+      });
+
+      res.status(201).json({ webhook });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+router.get(
+  "/:webhookId",
+  authMiddleware,
+  validate(webhookSchemas.webhookParams),
+  loadManagedWebhook,
+  async (req, res, next) => {
+    try {
+      res.json({ webhook: req.webhook });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// Change the URL, events or description, or pause it with active: false
+router.put(
+  "/:webhookId",
+  authMiddleware,
+  validate(webhookSchemas.updateWebhook),
+  loadManagedWebhook,
+  async (req, res, next) => {
+    try {
+      const fields = ["url", "events", "description", "active"].filter(
+        (field) => req.body[field] !== undefined
+      );
+
+      if (fields.length === 0) {
+        return res.status(400).json({ error: "No changes provided" });
+      }
+
+      if (req.body.url) {
+        const targetError = await checkWebhookTarget(req.body.url);
+        if (targetError) {
+          return res
+            .status(targetError.status)
+            .json({ error: targetError.error });
+        }
+      }
+
+      fields.forEach((field) => {
+        req.webhook[field] = req.body[field];
+      });
+      await req.webhook.save();
+
+      res.json({ webhook: req.webhook });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// Replace the signing secret; the old one stops working immediately
+router.post(
+  "/:webhookId/secret",
+  authMiddleware,
+  validate(webhookSchemas.webhookParams),
+  loadManagedWebhook,
+  async (req, res, next) => {
+    try {
+      req.webhook.secret = generateWebhookSecret();
+      await req.webhook.save();
+
+      res.json({ secret: req.webhook.secret });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+router.delete(
+  "/:webhookId",
+  authMiddleware,
+  validate(webhookSchemas.webhookParams),
+  loadManagedWebhook,
+  async (req, res, next) => {
+    try {
+      await WebhookDelivery.deleteMany({ webhook: req.webhook._id });
+      await req.webhook.deleteOne();
+
+      res.json({ message: "Webhook deleted successfully" });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// Delivery log, newest first, without the payloads
+router.get(
+  "/:webhookId/deliveries",
+  authMiddleware,
+  validate(webhookSchemas.listDeliveries),
+  loadManagedWebhook,
+  async (req, res, next) => {
+    try {
+      const { status, event, before, limit } = req.query;
+
+      const filter = { webhook: req.webhook._id };
+      if (status) {
+        filter.status = status;
+      }
+      if (event) {
+        filter.event = event;
+      }
+      if (before) {
+        filter._id = { $lt: before };
+      }
+
+      const deliveries = await WebhookDelivery.find(filter)
+        .select("-payload -lockedUntil")
+        .sort({ _id: -1 })
+        .limit(limit + 1);
+
+      const hasMore = deliveries.length > limit;
+      const page = hasMore ? deliveries.slice(0, limit) : deliveries;
+
+      res.json({
+        deliveries: page,
+        hasMore,
+        nextCursor: hasMore ? page[page.length - 1]._id : null,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// One delivery with its payload and every attempt
+router.get(
+  "/:webhookId/deliveries/:deliveryId",
+  authMiddleware,
+  validate(webhookSchemas.deliveryParams),
+  loadManagedWebhook,
+  async (req, res, next) => {
+    try {
+      const delivery = await WebhookDelivery.findOne({
+        _id: req.params.deliveryId,
+        webhook: req.webhook._id,
+      }).select("-lockedUntil");
+
+      if (!delivery) {
+        return res.status(404).json({ error: "Delivery not found" });
+      }
+
+      res.json({ delivery });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// Queue a finished delivery again
+router.post(
+  "/:webhookId/deliveries/:deliveryId/redeliver",
+  authMiddleware,
+  validate(webhookSchemas.deliveryParams),
+  loadManagedWebhook,
+  async (req, res, next) => {
+    try {
+      const delivery = await WebhookDelivery.findOne({
+        _id: req.params.deliveryId,
+        webhook: req.webhook._id,
+      });
+
+      if (!delivery) {
+        return res.status(404).json({ error: "Delivery not found" });
+      }
+
+      const queued = await redeliver(delivery);
+      if (!queued) {
+        return res
+          .status(409)
+          .json({ error: "This delivery is still being attempted" });
+      }
+
+      res.status(202).json({ delivery: queued });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+export default router;
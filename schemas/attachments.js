@@ -0,0 +1,13 @@
+import { objectId } from "./common.js";
+
+// Exactly one of receiver or groupId is checked by the route
+export const uploadAttachment = {
+  body: {
+    receiver: objectId("Receiver", { required: false }),
+    groupId: objectId("Group ID", { required: false }),
+  },
+};
+
+export const attachmentParams = {
+  params: { attachmentId: objectId("Attachment ID") },
+};
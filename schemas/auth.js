@@ -0,0 +1,114 @@
+const email = {
+  type: "string",
+  required: true,
+  trim: true,
+  lowercase: true,
+  maxLength: 254,
+  label: "Email",
+};
+
+const password = {
+  type: "string",
+  required: true,
+  minLength: 6,
+  maxLength: 128,
+  label: "Password",
+};
+
+const twoFactorCode = {
+  type: "string",
+  trim: true,
+  maxLength: 10,
+  label: "Two-factor code",
+};
+
+const recoveryCode = {
+  type: "string",
+  trim: true,
+  maxLength: 32,
+  label: "Recovery code",
+};
+
+const codeOrRecoveryCode = {
+  code: {
+    ...twoFactorCode,
+    requiredUnless: "recoveryCode",
+    messages: { required: "Two-factor code or recovery code is required" },
+  },
+  recoveryCode,
+};
+
+const token = (label) => ({
+  type: "string",
+  required: true,
+  trim: true,
+  maxLength: 512,
+  label,
+});
+
+export const register = {
+  body: {
+    username: {
+      type: "string",
+      required: true,
+      trim: true,
+      minLength: 2,
+      maxLength: 30,
+      label: "Username",
+    },
+    email: {
+      ...email,
+      pattern: /^[^\s@]+@[^\s@]+\.[^\s@]+$/,
+      messages: { pattern: "Email must be a valid email address" },
+    },
+    password,
+  },
+};
+
+export const login = {
+  body: {
+    email,
+    password: { type: "string", required: true, label: "Password" },
+  },
+};
+
+export const loginTwoFactor = {
+  body: {
+    challengeToken: token("Challenge token"),
+    ...codeOrRecoveryCode,
+  },
+};
+
+export const twoFactorConfirm = {
+  body: { code: { ...twoFactorCode, required: true } },
+};
+
+export const twoFactorDisable = {
+  body: codeOrRecoveryCode,
+};
+
+export const verifyEmail = {
+  body: { token: token("Verification token") },
+};
+
+export const forgotPassword = {
+  body: { email },
+};
+
+export const resetPassword = {
+  body: { token: token("Reset token"), password },
+};
+
+export const refresh = {
+  body: { refreshToken: token("Refresh token") },
+};
+
+export const sessionParams = {
+  params: {
+    sessionId: {
+      type: "objectId",
+      required: true,
+      messages: { type: "Invalid session ID format" },
+    },
+  },
+};
@@ -0,0 +1,96 @@
+/**
+ * Field rules shared by the route and socket schemas
+ */
+export const MAX_MESSAGE_LENGTH = 5000;
+
+export const objectId = (label, options = {}) => ({
+  type: "objectId",
+  required: true,
+  label,
+  ...options,
+});
+
+export const groupName = {
+  type: "string",
+  required: true,
+  trim: true,
+  minLength: 3,
+  maxLength: 50,
+  label: "Group name",
+};
+
+export const memberIds = {
+  type: "array",
+  required: true,
+  minItems: 1,
+  unique: true,
+  items: { type: "objectId", label: "Member ID" },
+  label: "Members",
+  messages: {
+    minItems: "At least one member is required",
+    unique: "Duplicate members detected",
+  },
+};
+
+// Content may be left out when the message carries an attachment
+export const newMessageFields = {
+  content: {
+    type: "string",
+    trim: true,
+    maxLength: MAX_MESSAGE_LENGTH,
+    requiredUnless: "attachmentId",
+    label: "Message content",
+    messages: { required: "Message content or attachment is required" },
+  },
+  messageType: { type: "string", enum: ["text", "image", "file"] },
+  attachmentId: objectId("Attachment ID", { required: false }),
+  replyTo: objectId("Reply target", { required: false }),
+};
+
+export const messageContent = {
+  type: "string",
+  required: true,
+  trim: true,
+  maxLength: MAX_MESSAGE_LENGTH,
+  label: "Message content",
+};
+
+export const deleteScope = {
+  type: "string",
+  enum: ["me", "everyone"],
+  default: "me",
+  messages: { enum: "Scope must be either 'me' or 'everyone'" },
+};
+
+export const emoji = {
+  type: "string",
+  required: true,
+  maxLength: 32,
+  label: "Reaction",
+};
+
+// Cursors a reconnecting client sends to fetch what it missed
+export const syncFields = {
+  since: { type: "date", label: "Since" },
+  conversations: {
+    type: "array",
+    default: [],
+    maxItems: 200,
+    label: "Conversations",
+    items: {
+      type: "object",
+      label: "Conversation",
+      properties: {
+        type: {
+          type: "string",
+          required: true,
+          enum: ["user", "group"],
+          label: "Conversation type",
+        },
+        id: objectId("Conversation ID"),
+        since: { type: "date", label: "Since" },
+        lastMessageId: objectId("Last message ID", { required: false }),
+      },
+    },
+  },
+};
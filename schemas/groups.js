@@ -0,0 +1,153 @@
+import {
+  objectId,
+  groupName,
+  memberIds,
+  newMessageFields,
+  messageContent,
+  deleteScope,
+} from "./common.js";
+
+export const groupParams = {
+  params: { groupId: objectId("Group ID") },
+};
+
+export const memberParams = {
+  params: {
+    groupId: objectId("Group ID"),
+    memberId: objectId("Member ID"),
+  },
+};
+
+export const groupMessageParams = {
+  params: {
+    groupId: objectId("Group ID"),
+    messageId: objectId("Message ID"),
+  },
+};
+
+export const createGroup = {
+  body: { name: groupName, members: memberIds },
+};
+
+// Every field is optional; blank strings clear the description, avatar
+// URL and pinned topic
+export const updateGroup = {
+  ...groupParams,
+  body: {
+    name: { ...groupName, required: false },
+    description: {
+      type: "string",
+      trim: true,
+      allowEmpty: true,
+      maxLength: 500,
+      label: "Description",
+    },
+    avatarUrl: {
+      type: "string",
+      trim: true,
+      allowEmpty: true,
+      maxLength: 2048,
+      pattern: /^https?:\/\/\S+$/,
+      label: "Avatar URL",
+    },
+    pinnedTopic: {
+      type: "string",
+      trim: true,
+      allowEmpty: true,
+      maxLength: 200,
+      label: "Pinned topic",
+    },
+    announcementOnly: { type: "boolean" },
+  },
+};
+
+export const addMembers = {
+  ...groupParams,
+  body: { members: memberIds },
+};
+
+export const sendGroupMessage = {
+  ...groupParams,
+  body: newMessageFields,
+};
+
+export const markGroupRead = {
+  ...groupParams,
+  body: { messageId: objectId("Message ID", { required: false }) },
+};
+
+export const editGroupMessage = {
+  ...groupMessageParams,
+  body: { content: messageContent },
+};
+
+export const deleteGroupMessage = {
+  ...groupMessageParams,
+  query: { scope: deleteScope },
+};
+
+export const inviteParams = {
+  params: {
+    groupId: objectId("Group ID"),
+    inviteId: objectId("Invite ID"),
+  },
+};
+
+export const joinRequestParams = {
+  params: {
+    groupId: objectId("Group ID"),
+    inviteId: objectId("Invite ID"),
+    userId: objectId("User ID"),
+  },
+};
+
+export const inviteCodeParams = {
+  params: {
+    code: {
+      type: "string",
+      required: true,
+      maxLength: 64,
+      pattern: /^[A-Za-z0-9_-]+$/,
+      label: "Invite code",
+    },
+  },
+};
+
+export const createInvite = {
+  ...groupParams,
+  body: {
+    expiresAt: { type: "date", label: "Expiry" },
+    maxUses: { type: "integer", min: 1, max: 1000, label: "Maximum uses" },
+    requiresApproval: { type: "boolean", default: false },
+  },
+};
+
+export const setMemberRole = {
+  ...memberParams,
+  body: {
+    role: {
+      type: "string",
+      required: true,
+      enum: ["member", "moderator", "admin"],
+      label: "Role",
+    },
+  },
+};
+
+// Each entry is the lowest role allowed to perform the action
+const minimumRole = (label) => ({
+  type: "string",
+  enum: ["member", "moderator", "admin", "owner"],
+  label,
+});
+
+export const updatePermissions = {
+  ...groupParams,
+  body: {
+    post: minimumRole("Post permission"),
+    addMembers: minimumRole("Add members permission"),
+    rename: minimumRole("Rename permission"),
+    pin: minimumRole("Pin permission"),
+    deleteMessages: minimumRole("Delete messages permission"),
+  },
+};
@@ -0,0 +1,56 @@
+import {
+  objectId,
+  newMessageFields,
+  messageContent,
+  deleteScope,
+  syncFields,
+} from "./common.js";
+
+export const conversationParams = {
+  params: { userId: objectId("User ID") },
+};
+
+export const searchMessages = {
+  query: {
+    q: {
+      type: "string",
+      required: true,
+      trim: true,
+      maxLength: 200,
+      label: "Search query",
+    },
+    sender: objectId("Sender", { required: false }),
+    group: objectId("Group ID", { required: false }),
+    with: objectId("Conversation partner", { required: false }),
+    from: { type: "date", label: "Start date" },
+    to: { type: "date", label: "End date" },
+    type: { type: "string", enum: ["text", "image", "file"], label: "Type" },
+    limit: { type: "integer", min: 1, max: 50, default: 20, label: "Limit" },
+    before: objectId("Cursor", { required: false }),
+  },
+};
+
+export const sendMessage = {
+  body: {
+    receiver: objectId("Receiver"),
+    ...newMessageFields,
+  },
+};
+
+export const messageParams = {
+  params: { messageId: objectId("Message ID") },
+};
+
+export const editMessage = {
+  ...messageParams,
+  body: { content: messageContent },
+};
+
+export const deleteMessage = {
+  ...messageParams,
+  query: { scope: deleteScope },
+};
+
+export const syncMessages = {
+  body: syncFields,
+};
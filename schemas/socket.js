@@ -0,0 +1,50 @@
+import {
+  objectId,
+  groupName,
+  memberIds,
+  newMessageFields,
+  messageContent,
+  deleteScope,
+  emoji,
+  syncFields,
+} from "./common.js";
+
+const reaction = {
+  messageId: objectId("Message ID"),
+  emoji,
+};
+
+const typingToUser = { receiverId: objectId("Receiver") };
+const inGroup = { groupId: objectId("Group ID") };
+
+/**
+ * Payload schemas for client socket events, keyed by event name
+ *
+ * Events without an entry take no payload.
+ */
+export const socketSchemas = {
+  "send-message": { receiverId: objectId("Receiver"), ...newMessageFields },
+  "send-group-message": { ...inGroup, ...newMessageFields },
+  "edit-message": {
+    messageId: objectId("Message ID"),
+    content: messageContent,
+  },
+  "delete-message": { messageId: objectId("Message ID"), scope: deleteScope },
+  "add-reaction": reaction,
+  "remove-reaction": reaction,
+  typing: typingToUser,
+  "stop-typing": typingToUser,
+  "mark-read": { senderId: objectId("Sender") },
+  sync: syncFields,
+  "mark-group-read": {
+    ...inGroup,
+    messageId: objectId("Message ID", { required: false }),
+  },
+  "get-user-status": { userId: objectId("User ID") },
+  "create-group": { name: groupName, members: memberIds },
+  "group-typing": inGroup,
+  "group-stop-typing": inGroup,
+  "leave-group": inGroup,
+};
+
+export default socketSchemas;
@@ -0,0 +1,21 @@
+import { objectId } from "./common.js";
+
+export const userParams = {
+  params: { userId: objectId("User ID") },
+};
+
+export const searchUsers = {
+  params: {
+    query: {
+      type: "string",
+      required: true,
+      trim: true,
+      maxLength: 50,
+      label: "Search query",
+    },
+  },
+};
+
+export const relationParams = {
+  params: { userId: objectId("User ID") },
+};
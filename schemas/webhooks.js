@@ -0,0 +1,77 @@
+import { objectId } from "./common.js";
+import { WEBHOOK_EVENTS } from "../models/Webhook.js";
+
+const webhookUrl = {
+  type: "string",
+  trim: true,
+  maxLength: 2048,
+  pattern: /^https?:\/\/\S+$/,
+  label: "Webhook URL",
+  messages: { pattern: "Webhook URL must be an http(s) URL" },
+};
+
+const webhookEvents = {
+  type: "array",
+  minItems: 1,
+  unique: true,
+  items: { type: "string", enum: WEBHOOK_EVENTS, label: "Event" },
+  label: "Events",
+};
+
+const description = {
+  type: "string",
+  trim: true,
+  allowEmpty: true,
+  maxLength: 200,
+  label: "Description",
+};
+
+export const webhookParams = {
+  params: { webhookId: objectId("Webhook ID") },
+};
+
+export const deliveryParams = {
+  params: {
+    webhookId: objectId("Webhook ID"),
+    deliveryId: objectId("Delivery ID"),
+  },
+};
+
+// Without groupId: the user's personal webhooks
+export const listWebhooks = {
+  query: { groupId: objectId("Group ID", { required: false }) },
+};
+
+export const createWebhook = {
+  body: {
+    url: { ...webhookUrl, required: true },
+    events: { ...webhookEvents, required: true },
+    groupId: objectId("Group ID", { required: false }),
+    description,
+  },
+};
+
+export const updateWebhook = {
+  ...webhookParams,
+  body: {
+    url: webhookUrl,
+    events: webhookEvents,
+    description,
+    active: { type: "boolean" },
+  },
+};
+
+// Newest first; `before` is the last delivery ID of the previous page
+export const listDeliveries = {
+  ...webhookParams,
+  query: {
+    status: {
+      type: "string",
+      enum: ["pending", "succeeded", "failed"],
+      label: "Status",
+    },
+    event: { type: "string", enum: WEBHOOK_EVENTS, label: "Event" },
+    before: objectId("Cursor", { required: false }),
+    limit: { type: "integer", min: 1, max: 100, default: 50, label: "Limit" },
+  },
+};
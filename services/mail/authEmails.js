@@ -0,0 +1,25 @@
+import { sendMail } from "./index.js";
+
+const appUrl = () => process.env.CLIENT_URL || "http://localhost:3003";
+
+export const sendVerificationEmail = (user, token) => {
+  const link = `${appUrl()}/?verifyToken=${encodeURIComponent(token)}`;
+
+  return sendMail({
+    to: user.email,
+    subject: "Verify your email address",
+    text: `Hi ${user.username},\n\nConfirm your email address by opening this link:\n${link}\n\nIf you did not create an account, you can ignore this email.`,
+  });
+};
+
+export const sendPasswordResetEmail = (user, token, ttlMinutes) => {
+  const link = `${appUrl()}/?resetToken=${encodeURIComponent(token)}`;
+
+  return sendMail({
+    to: user.email,
+    subject: "Reset your password",
+    text: `Hi ${user.username},\n\nReset your password by opening this link:\n${link}\n\nThe link expires in ${ttlMinutes} minutes and can be used once. If you did not ask for a reset, you can ignore this email.`,
+  });
+};
+
+export default { sendVerificationEmail, sendPasswordResetEmail };
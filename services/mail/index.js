@@ -0,0 +1,46 @@
+import dotenv from "dotenv";
+import { createOutboxTransport } from "./outboxTransport.js";
+
+dotenv.config();
+
+/**
+ * Mail transport registry
+ *
+ * A transport is an object with `name` and `send({ from, to, subject,
+ * text, html })`. The active transport is chosen with MAIL_TRANSPORT.
+ */
+const transportFactories = new Map([
+  [
+    "outbox",
+    () =>
+      createOutboxTransport({ dir: process.env.MAIL_OUTBOX_DIR || "outbox" }),
+  ],
+]);
+
+const transports = new Map();
+
+export const registerMailTransport = (name, factory) => {
+  transportFactories.set(name, factory);
+  transports.delete(name);
+};
+
+export const getMailTransport = (
+  name = process.env.MAIL_TRANSPORT || "outbox"
+) => {
+  if (!transports.has(name)) {
+    const factory = transportFactories.get(name);
+    if (!factory) {
+      throw new Error(`Unknown mail transport: ${name}`);
+    }
+    transports.set(name, factory());
+  }
+  return transports.get(name);
+};
+
+export const sendMail = (mail) =>
+  getMailTransport().send({
+    from: process.env.MAIL_FROM || "Chat App <no-reply@localhost>",
+    ...mail,
+  });
+
+export default { registerMailTransport, getMailTransport, sendMail };
@@ -0,0 +1,30 @@
+import fsp from "fs/promises";
+import path from "path";
+import crypto from "crypto";
+
+/**
+ * Mail transport that writes each message to a JSON file
+ *
+ * Nothing leaves the machine, so it works offline and in tests; read the
+ * outbox directory to see what would have been sent.
+ */
+export const createOutboxTransport = ({ dir }) => ({
+  name: "outbox",
+
+  async send(mail) {
+    const sentAt = new Date();
+    const id = `${sentAt.getTime()}-${crypto.randomUUID()}`;
+    const file = path.resolve(dir, `${id}.json`);
+
+    await fsp.mkdir(path.resolve(dir), { recursive: true });
+    await fsp.writeFile(
+      file,
+      JSON.stringify({ id, sentAt, ...mail }, null, 2),
+      "utf8"
+    );
+
+    return { id, file };
+  },
+});
+
+export default createOutboxTransport;
@@ -0,0 +1,63 @@
+import { rateLimits } from "../../config/rateLimits.js";
+import { createMemoryRateLimitStore } from "./memoryStore.js";
+
+/**
+ * Rate limiting shared by Express routes and socket events
+ *
+ * A store is an object with `increment(key, windowMs)` resolving to
+ * `{ count, resetAt }` and `reset(key)`. The in-memory store is used
+ * until another one is installed with setRateLimitStore.
+ */
+let store = createMemoryRateLimitStore();
+
+export const setRateLimitStore = (nextStore) => {
+  store = nextStore;
+};
+
+export const getRateLimitStore = () => store;
+
+/**
+ * Count a request against the rule `name`
+ *
+ * `identities` maps bucket types ("user", "ip", "account", "ipAccount")
+ * to values; missing ones are skipped. Resolves to `{ allowed, limit,
+ * remaining, resetAt, retryAfter }` (retryAfter in seconds), or
+ * `{ allowed: true }` when there is no such rule.
+ */
+export const consumeRateLimit = async (name, identities) => {
+  const rule = rateLimits[name];
+  if (!rule) {
+    return { allowed: true };
+  }
+
+  let count = 0;
+  let resetAt = Date.now() + rule.windowMs;
+
+  for (const dimension of rule.per) {
+    const value = identities[dimension];
+    if (!value) {
+      continue;
+    }
+
+    const bucket = await store.increment(
+      `${name}:${dimension}:${String(value).toLowerCase()}`,
+      rule.windowMs
+    );
+
+    // Report the fullest bucket
+    if (bucket.count > count) {
+      count = bucket.count;
+      resetAt = bucket.resetAt;
+    }
+  }
+
+  return {
+    allowed: count <= rule.limit,
+    limit: rule.limit,
+    remaining: Math.max(rule.limit - count, 0),
+    resetAt,
+    retryAfter: Math.max(Math.ceil((resetAt - Date.now()) / 1000), 0),
+  };
+};
+
+export default { setRateLimitStore, getRateLimitStore, consumeRateLimit };
@@ -0,0 +1,43 @@
+/**
+ * Fixed-window counters kept in process memory
+ *
+ * Each node counts on its own; register a shared store to enforce limits
+ * across several processes.
+ */
+export const createMemoryRateLimitStore = ({ sweepInterval = 60000 } = {}) => {
+  const windows = new Map();
+
+  const sweep = setInterval(() => {
+    const now = Date.now();
+    windows.forEach((entry, key) => {
+      if (entry.resetAt <= now) {
+        windows.delete(key);
+      }
+    });
+  }, sweepInterval);
+  sweep.unref();
+
+  return {
+    name: "memory",
+
+    // Count one hit; resolves to the bucket's `{ count, resetAt }`
+    async increment(key, windowMs) {
+      const now = Date.now();
+      let entry = windows.get(key);
+
+      if (!entry || entry.resetAt <= now) {
+        entry = { count: 0, resetAt: now + windowMs };
+        windows.set(key, entry);
+      }
+
+      entry.count += 1;
+      return { count: entry.count, resetAt: entry.resetAt };
+    },
+
+    async reset(key) {
+      windows.delete(key);
+    },
+  };
+};
+
+export default createMemoryRateLimitStore;
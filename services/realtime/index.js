@@ -0,0 +1,86 @@
+import crypto from "crypto";
+import mongoose from "mongoose";
+import dotenv from "dotenv";
+import { createAdapter } from "@socket.io/mongo-adapter";
+import { createMemoryPresenceStore } from "./memoryPresence.js";
+import { createMongoPresenceStore } from "./mongoPresence.js";
+
+dotenv.config();
+
+const ADAPTER_COLLECTION = "socket.io-adapter-events";
+
+// Identifies this server process in the adapter and presence store
+export const nodeId = crypto.randomUUID();
+
+/**
+ * Cross-node adapters
+ *
+ * Each entry sets up the Socket.IO adapter for `io` (if any) and returns
+ * the presence store to use. The active one is chosen with SOCKET_ADAPTER.
+ */
+const adapters = new Map([
+  // Single process: Socket.IO's built-in adapter and in-memory presence
+  ["memory", async () => createMemoryPresenceStore()],
+
+  // Several processes sharing MongoDB (requires a replica set, since the
+  // adapter listens to a change stream)
+  [
+    "mongo",
+    async (io) => {
+      const db = mongoose.connection.db;
+      try {
+        await db.createCollection(ADAPTER_COLLECTION, {
+          capped: true,
+          size: 1e6,
+        });
+      } catch (error) {
+        if (error.codeName !== "NamespaceExists") {
+          throw error;
+        }
+      }
+
+      io.adapter(
+        createAdapter(db.collection(ADAPTER_COLLECTION), { uid: nodeId })
+      );
+
+      return createMongoPresenceStore({ nodeId });
+    },
+  ],
+]);
+
+let presenceStore = createMemoryPresenceStore();
+
+export const registerSocketAdapter = (name, setup) => {
+  adapters.set(name, setup);
+};
+
+/**
+ * Install the configured adapter; call once the database is connected
+ */
+export const setupSocketAdapter = async (
+  io,
+  name = process.env.SOCKET_ADAPTER || "memory"
+) => {
+  const setup = adapters.get(name);
+  if (!setup) {
+    throw new Error(`Unknown socket adapter: ${name}`);
+  }
+
+  presenceStore = await setup(io);
+  await presenceStore.start();
+  return presenceStore;
+};
+
+export const shutdownSocketAdapter = async () => {
+  await presenceStore.stop();
+};
+
+export const getPresenceStore = () => presenceStore;
+
+export default {
+  nodeId,
+  registerSocketAdapter,
+  setupSocketAdapter,
+  shutdownSocketAdapter,
+  getPresenceStore,
+};
@@ -0,0 +1,53 @@
+/**
+ * Presence store for a single server process
+ *
+ * Keeps userId -> Set of socket ids in memory. Only suitable when every
+ * client connects to the same node.
+ */
+export const createMemoryPresenceStore = () => {
+  const connections = new Map();
+
+  return {
+    name: "memory",
+
+    async start() {},
+
+    async stop() {
+      connections.clear();
+    },
+
+    // Resolves to true when this is the user's first open connection
+    async addConnection(userId, socketId) {
+      if (!connections.has(userId)) {
+        connections.set(userId, new Set());
+      }
+      const sockets = connections.get(userId);
+      sockets.add(socketId);
+      return sockets.size === 1;
+    },
+
+    // Resolves to true when the user's last connection has closed
+    async removeConnection(userId, socketId) {
+      const sockets = connections.get(userId);
+      if (!sockets) {
+        return false;
+      }
+      sockets.delete(socketId);
+      if (sockets.size === 0) {
+        connections.delete(userId);
+        return true;
+      }
+      return false;
+    },
+
+    async isOnline(userId) {
+      return connections.has(userId);
+    },
+
+    async getOnlineUsers() {
+      return Array.from(connections.keys());
+    },
+  };
+};
+
+export default createMemoryPresenceStore;
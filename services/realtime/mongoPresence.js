@@ -0,0 +1,69 @@
+import Presence from "../../models/Presence.js";
+import { logger } from "../../utils/logger.js";
+
+/**
+ * Presence store shared by every node through MongoDB
+ *
+ * Each connection is a Presence document tagged with the node that holds
+ * it. The node refreshes `expiresAt` on a heartbeat so that entries left
+ * by a crashed node expire on their own.
+ */
+export const createMongoPresenceStore = ({ nodeId, ttl = 60000 }) => {
+  let heartbeat = null;
+  const expiresAt = () => new Date(Date.now() + ttl);
+
+  return {
+    name: "mongo",
+
+    async start() {
+      heartbeat = setInterval(() => {
+        Presence.updateMany({ node: nodeId }, { expiresAt: expiresAt() })
+          .exec()
+          .catch((error) =>
+            logger.error("error refreshing presence heartbeat", { error })
+          );
+      }, ttl / 3);
+      heartbeat.unref();
+    },
+
+    async stop() {
+      clearInterval(heartbeat);
+      await Presence.deleteMany({ node: nodeId });
+    },
+
+    // Resolves to true when this is the user's first open connection.
+    // Connections opened at the same time on different nodes each see
+    // all of them, so only the oldest document counts as the first one
+    // (counting them would make every node see two).
+    async addConnection(userId, socketId) {
+      const own = await Presence.create({
+        user: userId,
+        socketId,
+        node: nodeId,
+        expiresAt: expiresAt(),
+      });
+      const oldest = await Presence.findOne({ user: userId })
+        .sort({ _id: 1 })
+        .select("_id");
+      return oldest?._id.equals(own._id) || false;
+    },
+
+    // Resolves to true when the user's last connection has closed
+    async removeConnection(userId, socketId) {
+      await Presence.deleteOne({ socketId });
+      const count = await Presence.countDocuments({ user: userId });
+      return count === 0;
+    },
+
+    async isOnline(userId) {
+      return Boolean(await Presence.exists({ user: userId }));
+    },
+
+    async getOnlineUsers() {
+      const users = await Presence.distinct("user");
+      return users.map((id) => id.toString());
+    },
+  };
+};
+
+export default createMongoPresenceStore;
@@ -0,0 +1,40 @@
+import dotenv from "dotenv";
+import { createLocalDiskDriver } from "./localDiskDriver.js";
+
+dotenv.config();
+
+/**
+ * Attachment storage registry
+ *
+ * A driver is an object with `name`, `save({ buffer, filename, mimeType })`
+ * resolving to `{ key }`, `createReadStream(key)`, `exists(key)` and
+ * `remove(key)`. The active driver is chosen with STORAGE_DRIVER.
+ */
+const driverFactories = new Map([
+  [
+    "local",
+    () => createLocalDiskDriver({ root: process.env.UPLOAD_DIR || "uploads" }),
+  ],
+]);
+
+const drivers = new Map();
+
+export const registerStorageDriver = (name, factory) => {
+  driverFactories.set(name, factory);
+  drivers.delete(name);
+};
+
+export const getStorageDriver = (
+  name = process.env.STORAGE_DRIVER || "local"
+) => {
+  if (!drivers.has(name)) {
+    const factory = driverFactories.get(name);
+    if (!factory) {
+      throw new Error(`Unknown storage driver: ${name}`);
+    }
+    drivers.set(name, factory());
+  }
+  return drivers.get(name);
+};
+
+export default { registerStorageDriver, getStorageDriver };
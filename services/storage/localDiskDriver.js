@@ -0,0 +1,56 @@
+import fs from "fs";
+import fsp from "fs/promises";
+import path from "path";
+import crypto from "crypto";
+
+/**
+ * Storage driver that keeps attachments on the local filesystem
+ *
+ * Files are written under `root` with random keys so that user-supplied
+ * filenames never touch the disk path.
+ */
+export const createLocalDiskDriver = ({ root }) => {
+  const resolveKey = (key) => {
+    const filePath = path.resolve(root, key);
+    if (!filePath.startsWith(path.resolve(root) + path.sep)) {
+      throw new Error("Invalid storage key");
+    }
+    return filePath;
+  };
+
+  return {
+    name: "local",
+
+    async save({ buffer, filename }) {
+      const ext = path
+        .extname(filename || "")
+        .toLowerCase()
+        .slice(0, 10);
+      const key = `${crypto.randomUUID()}${ext.replace(/[^.a-z0-9]/g, "")}`;
+
+      await fsp.mkdir(path.resolve(root), { recursive: true });
+      await fsp.writeFile(resolveKey(key), buffer);
+
+      return { key };
+    },
+
+    createReadStream(key) {
+      return fs.createReadStream(resolveKey(key));
+    },
+
+    async exists(key) {
+      try {
+        await fsp.access(resolveKey(key));
+        return true;
+      } catch (error) {
+        return false;
+      }
+    },
+
+    async remove(key) {
+      await fsp.rm(resolveKey(key), { force: true });
+    },
+  };
+};
+
+export default createLocalDiskDriver;
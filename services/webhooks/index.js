@@ -0,0 +1,295 @@
+import http from "http";
+import https from "https";
+import dotenv from "dotenv";
+import Webhook from "../../models/Webhook.js";
+import WebhookDelivery from "../../models/WebhookDelivery.js";
+import { logger } from "../../utils/logger.js";
+import { signWebhookPayload } from "./signature.js";
+import { checkWebhookTarget, guardedLookup } from "./targets.js";
+
+dotenv.config();
+
+const SECOND = 1000;
+const MINUTE = 60 * SECOND;
+
+const MAX_ATTEMPTS = Number(process.env.WEBHOOK_MAX_ATTEMPTS) || 6;
+const REQUEST_TIMEOUT = Number(process.env.WEBHOOK_TIMEOUT_MS) || 10 * SECOND;
+const POLL_INTERVAL = 5 * SECOND;
+
+// Retries wait 30s, 1m, 2m, 4m, ... up to an hour
+const BASE_BACKOFF = 30 * SECOND;
+const MAX_BACKOFF = 60 * MINUTE;
+
+export const retryDelay = (attempts) =>
+  Math.min(BASE_BACKOFF * 2 ** (attempts - 1), MAX_BACKOFF);
+
+/**
+ * Outbound webhooks
+ *
+ * Events are queued as WebhookDelivery documents, one per subscribed
+ * webhook, and sent by a worker that polls for due deliveries. Claiming a
+ * delivery is atomic, so every server node can run the worker. A delivery
+ * succeeds on any 2xx response; anything else (including redirects,
+ * timeouts and targets refused by targets.js) is retried with exponential
+ * backoff until MAX_ATTEMPTS.
+ */
+
+let pollTimer = null;
+let currentRun = null;
+let stopping = false;
+
+/**
+ * Queue `event` for every active webhook subscribed to it
+ *
+ * `groupId` reaches the group's webhooks and `userIds` the personal
+ * webhooks of those users. `data` is sent as plain JSON.
+ */
+export const dispatchWebhookEvent = async (
+  event,
+  data,
+  { groupId = null, userIds = [] } = {}
+) => {
+  const scopes = [];
+  if (groupId) {
+    scopes.push({ group: groupId });
+  }
+  if (userIds.length) {
+    scopes.push({ group: null, owner: { $in: userIds } });
+  }
+  if (!scopes.length) {
+    return [];
+  }
+
+  const webhooks = await Webhook.find({
+    active: true,
+    events: event,
+    $or: scopes,
+  }).select("_id");
+  if (!webhooks.length) {
+    return [];
+  }
+
+  const payload = {
+    event,
+    occurredAt: new Date(),
+    data: JSON.parse(JSON.stringify(data)),
+  };
+  const deliveries = await WebhookDelivery.insertMany(
+    webhooks.map((webhook) => ({ webhook: webhook._id, event, payload }))
+  );
+
+  // Send right away instead of waiting for the next poll
+  if (pollTimer) {
+    setImmediate(sendDueWebhookDeliveries);
+  }
+  return deliveries;
+};
+
+/**
+ * Like dispatchWebhookEvent, for callers that should not wait or fail on
+ * webhooks (message sends, group changes)
+ */
+export const queueWebhookEvent = (event, data, scope) => {
+  dispatchWebhookEvent(event, data, scope).catch((error) =>
+    logger.error("error queueing webhook event", { event, error })
+  );
+};
+
+// POST a JSON body and resolve to the response status; redirects are
+// not followed, and connections go through guardedLookup
+const postJson = (url, body, headers) =>
+  new Promise((resolve, reject) => {
+    const target = new URL(url);
+    const request = (target.protocol === "https:" ? https : http).request(
+      target,
+      {
+        method: "POST",
+        headers: {
+          ...headers,
+          "Content-Type": "application/json",
+          "Content-Length": Buffer.byteLength(body),
+        },
+        lookup: guardedLookup,
+        timeout: REQUEST_TIMEOUT,
+      },
+      (response) => {
+        response.resume();
+        resolve(response.statusCode);
+      }
+    );
+
+    request.on("timeout", () =>
+      request.destroy(new Error(`No response within ${REQUEST_TIMEOUT} ms`))
+    );
+    request.on("error", reject);
+    request.end(body);
+  });
+
+// POST the delivery once and record the outcome
+const attemptDelivery = async (delivery) => {
+  const webhook = await Webhook.findById(delivery.webhook).select("+secret");
+  const startedAt = new Date();
+  let statusCode = null;
+  let error = null;
+
+  if (!webhook || !webhook.active) {
+    error = "Webhook was deleted or disabled";
+  } else {
+    const body = JSON.stringify({ id: delivery._id, ...delivery.payload });
+    const timestamp = Math.floor(startedAt.getTime() / 1000).toString();
+
+    try {
+      const targetError = await checkWebhookTarget(webhook.url);
+      if (targetError) {
+        throw new Error(targetError.error);
+      }
+
+      statusCode = await postJson(webhook.url, body, {
+        "User-Agent": "ChatApp-Webhooks/1.0",
+        "X-Webhook-Id": delivery._id.toString(),
+        "X-Webhook-Event": delivery.event,
+        "X-Webhook-Timestamp": timestamp,
+        "X-Webhook-Signature": signWebhookPayload(
+          webhook.secret,
+          timestamp,
+          body
+        ),
+      });
+      if (statusCode < 200 || statusCode >= 300) {
+        error = `Receiver responded with ${statusCode}`;
+      }
+    } catch (err) {
+      error = err.message;
+    }
+  }
+
+  const attempts = delivery.attempts + 1;
+  const finished = !error || !webhook?.active || attempts >= MAX_ATTEMPTS;
+  const status = error ? (finished ? "failed" : "pending") : "succeeded";
+
+  await WebhookDelivery.updateOne(
+    { _id: delivery._id },
+    {
+      status,
+      attempts,
+      lastAttemptAt: startedAt,
+      responseStatus: statusCode,
+      lastError: error,
+      lockedUntil: null,
+      completedAt: finished ? new Date() : null,
+      nextAttemptAt: finished
+        ? delivery.nextAttemptAt
+        : new Date(Date.now() + retryDelay(attempts)),
+      $push: {
+        attemptLog: {
+          at: startedAt,
+          statusCode,
+          error,
+          durationMs: Date.now() - startedAt.getTime(),
+        },
+      },
+    }
+  );
+
+  if (error) {
+    logger.warn("webhook delivery failed", {
+      deliveryId: delivery._id,
+      webhookId: delivery.webhook,
+      attempts,
+      error,
+    });
+  }
+};
+
+// Take the oldest due delivery that no other worker is sending
+const claimDueDelivery = () => {
+  const now = new Date();
+  return WebhookDelivery.findOneAndUpdate(
+    {
+      status: "pending",
+      nextAttemptAt: { $lte: now },
+      $or: [{ lockedUntil: null }, { lockedUntil: { $lte: now } }],
+    },
+    { lockedUntil: new Date(now.getTime() + REQUEST_TIMEOUT + MINUTE) },
+    { sort: { nextAttemptAt: 1 }, new: true }
+  );
+};
+
+const sendDueDeliveries = async () => {
+  try {
+    let delivery;
+    while (!stopping && (delivery = await claimDueDelivery())) {
+      await attemptDelivery(delivery);
+    }
+  } catch (error) {
+    logger.error("error sending webhook deliveries", { error });
+  }
+};
+
+/**
+ * Send every delivery that is due now; the worker calls this on each poll
+ *
+ * Runs never overlap: a call during a run shares that run.
+ */
+export const sendDueWebhookDeliveries = () => {
+  if (!currentRun) {
+    currentRun = sendDueDeliveries().finally(() => {
+      currentRun = null;
+    });
+  }
+  return currentRun;
+};
+
+/**
+ * Start sending deliveries; call once the database is connected
+ */
+export const startWebhookWorker = () => {
+  if (pollTimer) {
+    return;
+  }
+  pollTimer = setInterval(sendDueWebhookDeliveries, POLL_INTERVAL);
+  pollTimer.unref();
+  sendDueWebhookDeliveries();
+};
+
+/**
+ * Stop polling and wait for the delivery in progress to finish
+ */
+export const stopWebhookWorker = async () => {
+  clearInterval(pollTimer);
+  pollTimer = null;
+  stopping = true;
+  await currentRun;
+  stopping = false;
+};
+
+/**
+ * Send a delivery again, e.g. after fixing the receiver
+ */
+export const redeliver = async (delivery) => {
+  const updated = await WebhookDelivery.findOneAndUpdate(
+    { _id: delivery._id, status: { $ne: "pending" } },
+    {
+      status: "pending",
+      attempts: 0,
+      nextAttemptAt: new Date(),
+      completedAt: null,
+    },
+    { new: true }
+  );
+
+  if (updated && pollTimer) {
+    setImmediate(sendDueWebhookDeliveries);
+  }
+  return updated;
+};
+
+export default {
+  dispatchWebhookEvent,
+  queueWebhookEvent,
+  sendDueWebhookDeliveries,
+  startWebhookWorker,
+  stopWebhookWorker,
+  redeliver,
+  retryDelay,
+};
@@ -0,0 +1,46 @@
+import crypto from "crypto";
+
+/**
+ * Webhook request signing
+ *
+ * Each delivery carries `X-Webhook-Timestamp` (Unix seconds) and
+ * `X-Webhook-Signature: sha256=<hex>`, an HMAC-SHA256 of
+ * `<timestamp>.<raw body>` keyed with the webhook's secret. Receivers
+ * should recompute it over the raw body and reject old timestamps.
+ */
+
+export const generateWebhookSecret = () =>
+  `whsec_${crypto.randomBytes(24).toString("base64url")}`;
+
+export const signWebhookPayload = (secret, timestamp, body) =>
+  `sha256=${crypto
+    .createHmac("sha256", secret)
+    .update(`${timestamp}.${body}`)
+    .digest("hex")}`;
+
+/**
+ * Check a received signature; `toleranceSeconds` bounds the timestamp age
+ */
+export const verifyWebhookSignature = (
+  secret,
+  { timestamp, signature, body },
+  toleranceSeconds = 300
+) => {
+  const age = Math.abs(Date.now() / 1000 - Number(timestamp));
+  if (!Number.isFinite(age) || age > toleranceSeconds) {
+    return false;
+  }
+
+  const expected = Buffer.from(signWebhookPayload(secret, timestamp, body));
+  const received = Buffer.from(String(signature));
+  return (
+    expected.length === received.length &&
+    crypto.timingSafeEqual(expected, received)
+  );
+};
+
+export default {
+  generateWebhookSecret,
+  signWebhookPayload,
+  verifyWebhookSignature,
+};
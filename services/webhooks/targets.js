@@ -0,0 +1,107 @@
+import dns from "dns";
+import net from "net";
+import dotenv from "dotenv";
+
+dotenv.config();
+
+/**
+ * Where webhooks may send requests
+ *
+ * Receivers must be public hosts: loopback, private, link-local and
+ * other reserved addresses are refused, both when a webhook is saved and
+ * when each request connects (so a DNS change cannot redirect it).
+ * WEBHOOK_ALLOWED_HOSTS lists hostnames or addresses that skip the check,
+ * e.g. internal services that should receive webhooks.
+ */
+
+const blockedAddresses = new net.BlockList();
+[
+  ["0.0.0.0", 8],
+  ["10.0.0.0", 8],
+  ["100.64.0.0", 10],
+  ["127.0.0.0", 8],
+  ["169.254.0.0", 16],
+  ["172.16.0.0", 12],
+  ["192.0.0.0", 24],
+  ["192.168.0.0", 16],
+  ["198.18.0.0", 15],
+  ["224.0.0.0", 4],
+  ["240.0.0.0", 4],
+].forEach(([prefix, bits]) => blockedAddresses.addSubnet(prefix, bits, "ipv4"));
+[
+  ["::", 128],
+  ["::1", 128],
+  ["64:ff9b::", 96],
+  ["fc00::", 7],
+  ["fe80::", 10],
+  ["ff00::", 8],
+].forEach(([prefix, bits]) => blockedAddresses.addSubnet(prefix, bits, "ipv6"));
+
+const TARGET_NOT_ALLOWED = "Webhook URL must point to a public host";
+
+const allowedHosts = () =>
+  (process.env.WEBHOOK_ALLOWED_HOSTS || "")
+    .split(",")
+    .map((host) => host.trim().toLowerCase())
+    .filter(Boolean);
+
+// URL hostnames keep the brackets around IPv6 addresses
+const bareHost = (hostname) => hostname.replace(/^\[|\]$/g, "").toLowerCase();
+
+const isAllowedHost = (hostname) => allowedHosts().includes(bareHost(hostname));
+
+export const isBlockedAddress = (address) => {
+  const family = net.isIP(address);
+  return (
+    family === 0 ||
+    blockedAddresses.check(address, family === 6 ? "ipv6" : "ipv4")
+  );
+};
+
+/**
+ * Why `url` may not receive webhooks, as `{ error, status }`, or null
+ */
+export const checkWebhookTarget = async (url) => {
+  const host = bareHost(new URL(url).hostname);
+  if (isAllowedHost(host)) {
+    return null;
+  }
+
+  if (net.isIP(host)) {
+    return isBlockedAddress(host)
+      ? { error: TARGET_NOT_ALLOWED, status: 400 }
+      : null;
+  }
+
+  try {
+    const addresses = await dns.promises.lookup(host, { all: true });
+    if (addresses.some(({ address }) => isBlockedAddress(address))) {
+      return { error: TARGET_NOT_ALLOWED, status: 400 };
+    }
+  } catch (error) {
+    return { error: "Webhook host could not be resolved", status: 400 };
+  }
+  return null;
+};
+
+/**
+ * `lookup` option for http.request that refuses blocked addresses
+ */
+export const guardedLookup = (hostname, options, callback) => {
+  dns.lookup(hostname, options, (error, address, family) => {
+    if (error) {
+      return callback(error);
+    }
+
+    const addresses = Array.isArray(address) ? address : [{ address }];
+    if (
+      !isAllowedHost(hostname) &&
+      addresses.some((entry) => isBlockedAddress(entry.address))
+    ) {
+      return callback(new Error(TARGET_NOT_ALLOWED));
+    }
+    callback(null, address, family);
+  });
+};
+
+export default { isBlockedAddress, checkWebhookTarget, guardedLookup };
@@ -0,0 +1,66 @@
+import { describe, it, before, after, beforeEach, mock } from "node:test";
+import assert from "node:assert/strict";
+import { useMemoryModel } from "./support/memoryModels.js";
+
+process.env.LOG_LEVEL = "error";
+
+const { default: User } = await import("../models/User.js");
+const { default: Session } = await import("../models/Session.js");
+const { createSession, rotateRefreshToken } = await import(
+  "../utils/sessions.js"
+);
+
+describe("refresh token rotation", () => {
+  let sessions;
+  const alice = new User({ username: "alice", email: "alice@example.com" });
+  const req = { get: () => "test", ip: "127.0.0.1" };
+
+  before(() => {
+    sessions = useMemoryModel(Session);
+    // Every request loads its own copy, as it would from MongoDB
+    mock.method(Session, "findById", async (id) => {
+      const stored = sessions.find((doc) => doc._id.equals(id));
+      return stored && Session.hydrate(stored.toObject());
+    });
+  });
+
+  after(() => mock.restoreAll());
+
+  beforeEach(() => {
+    sessions.length = 0;
+  });
+
+  it("replaces the refresh token", async () => {
+    const { refreshToken } = await createSession(alice, req);
+
+    const result = await rotateRefreshToken(null, refreshToken);
+
+    assert.ok(result.refreshToken);
+    assert.notEqual(result.refreshToken, refreshToken);
+    assert.ok((await rotateRefreshToken(null, result.refreshToken)).session);
+  });
+
+  it("revokes the session when a rotated token is presented again", async () => {
+    const { refreshToken } = await createSession(alice, req);
+    const rotated = await rotateRefreshToken(null, refreshToken);
+
+    const reused = await rotateRefreshToken(null, refreshToken);
+
+    assert.equal(reused.error, "Invalid refresh token");
+    assert.equal(sessions[0].revokedReason, "refresh token reuse");
+    assert.ok((await rotateRefreshToken(null, rotated.refreshToken)).error);
+  });
+
+  it("lets only one of two concurrent refreshes through", async () => {
+    const { refreshToken } = await createSession(alice, req);
+
+    const results = await Promise.all([
+      rotateRefreshToken(null, refreshToken),
+      rotateRefreshToken(null, refreshToken),
+    ]);
+
+    assert.equal(results.filter((result) => result.refreshToken).length, 1);
+    assert.equal(results.filter((result) => result.error).length, 1);
+    assert.ok(sessions[0].revokedAt);
+  });
+});
@@ -0,0 +1,102 @@
+import { describe, it, before, after, mock } from "node:test";
+import assert from "node:assert/strict";
+import http from "http";
+import { Server } from "socket.io";
+import { io as connectClient } from "socket.io-client";
+import mongoose from "mongoose";
+import { useMemoryModel } from "./support/memoryModels.js";
+
+// Read when the modules load, so set before importing them
+process.env.JWT_SECRET ||= "socket-test-secret";
+process.env.LOG_LEVEL = "error";
+
+const { default: User } = await import("../models/User.js");
+const { default: Session } = await import("../models/Session.js");
+const { default: Group } = await import("../models/Group.js");
+const { default: Message } = await import("../models/Message.js");
+const { socketAuthMiddleware, setupSocketHandlers } = await import(
+  "../config/socket.js"
+);
+const { getPresenceStore } = await import("../services/realtime/index.js");
+const { signToken } = await import("../config/authKeys.js");
+
+const delay = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+describe("socket connection", () => {
+  let server;
+  let url;
+  const alice = new User({ username: "alice", email: "alice@example.com" });
+  const bob = new User({ username: "bob", email: "bob@example.com" });
+
+  before(async () => {
+    useMemoryModel(User).push(alice, bob);
+    useMemoryModel(Session);
+    mock.method(Session, "exists", async () => ({ _id: "session" }));
+    useMemoryModel(Group);
+    useMemoryModel(Message).push(
+      new Message({
+        sender: bob._id,
+        receiver: alice._id,
+        content: "hi",
+        createdAt: new Date(),
+      })
+    );
+
+    // A slow presence store: the connection setup is still running when
+    // the client's first events arrive
+    const presence = getPresenceStore();
+    const addConnection = presence.addConnection.bind(presence);
+    mock.method(presence, "addConnection", async (...args) => {
+      await delay(200);
+      return addConnection(...args);
+    });
+
+    server = http.createServer();
+    const io = new Server(server);
+    io.use(socketAuthMiddleware);
+    setupSocketHandlers(io);
+    await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+    url = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  after(async () => {
+    mock.restoreAll();
+    await new Promise((resolve) => server.close(resolve));
+  });
+
+  it("answers a sync emitted as soon as the socket connects", async () => {
+    const client = connectClient(url, {
+      auth: {
+        token: signToken({
+          userId: alice._id,
+          sid: new mongoose.Types.ObjectId(),
+        }),
+      },
+      transports: ["websocket"],
+      reconnection: false,
+    });
+
+    try {
+      const response = await new Promise((resolve, reject) => {
+        client.on("connect_error", reject);
+        client.on("connect", () =>
+          client
+            .timeout(2000)
+            .emit(
+              "sync",
+              { since: new Date(Date.now() - 60000).toISOString() },
+              (error, res) => (error ? reject(error) : resolve(res))
+            )
+        );
+      });
+
+      assert.equal(response.success, true);
+      assert.deepEqual(
+        response.newMessages.map((message) => message.content),
+        ["hi"]
+      );
+    } finally {
+      client.disconnect();
+    }
+  });
+});
@@ -0,0 +1,248 @@
+import mongoose from "mongoose";
+import { mock } from "node:test";
+
+/**
+ * In-memory stand-ins for the Mongoose model methods the code under test
+ * uses, so the tests run without a MongoDB server
+ *
+ * Documents are real Mongoose documents (defaults, casting, toJSON); only
+ * the queries are replaced. Filters support equality (including array
+ * fields), null, $or/$and and the $lt/$lte/$gt/$gte/$ne/$in/$nin/$exists
+ * operators; updates support plain fields, $set, $inc and $push.
+ */
+
+const comparable = (value) => {
+  if (value instanceof Date) {
+    return value.getTime();
+  }
+  if (value instanceof mongoose.Types.ObjectId) {
+    return value.toHexString();
+  }
+  return value;
+};
+
+const equals = (value, expected) => {
+  if (expected === null) {
+    return value === null || value === undefined;
+  }
+  if (Array.isArray(value)) {
+    return value.some((item) => equals(item, expected));
+  }
+  return String(comparable(value)) === String(comparable(expected));
+};
+
+const operators = {
+  $lt: (value, operand) => comparable(value) < comparable(operand),
+  $lte: (value, operand) => comparable(value) <= comparable(operand),
+  $gt: (value, operand) => comparable(value) > comparable(operand),
+  $gte: (value, operand) => comparable(value) >= comparable(operand),
+  $ne: (value, operand) => !equals(value, operand),
+  $in: (value, operand) => operand.some((item) => equals(value, item)),
+  $nin: (value, operand) => !operand.some((item) => equals(value, item)),
+  $exists: (value, operand) =>
+    (value !== undefined && value !== null) === operand,
+};
+
+const isOperatorObject = (condition) =>
+  condition !== null &&
+  typeof condition === "object" &&
+  Object.keys(condition).some((key) => key.startsWith("$"));
+
+export const matches = (doc, filter = {}) =>
+  Object.entries(filter).every(([key, condition]) => {
+    if (key === "$or") {
+      return condition.some((sub) => matches(doc, sub));
+    }
+    if (key === "$and") {
+      return condition.every((sub) => matches(doc, sub));
+    }
+
+    const value = doc.get(key);
+    if (isOperatorObject(condition)) {
+      return Object.entries(condition).every(([operator, operand]) =>
+        operators[operator](value, operand)
+      );
+    }
+    return equals(value, condition);
+  });
+
+const applyUpdate = (doc, update) => {
+  Object.entries(update).forEach(([key, value]) => {
+    if (key === "$inc") {
+      Object.entries(value).forEach(([field, by]) =>
+        doc.set(field, doc.get(field) + by)
+      );
+    } else if (key === "$set") {
+      applyUpdate(doc, value);
+    } else if (key === "$push") {
+      Object.entries(value).forEach(([field, item]) => doc[field].push(item));
+    } else {
+      doc.set(key, value);
+    }
+  });
+};
+
+const sortDocs = (docs, sort) =>
+  [...docs].sort((a, b) => {
+    for (const [field, direction] of Object.entries(sort)) {
+      const x = comparable(a.get(field));
+      const y = comparable(b.get(field));
+      if (x < y) return -direction;
+      if (x > y) return direction;
+    }
+    return 0;
+  });
+
+// Chainable like a Mongoose query; select, populate and lean are ignored
+class Query {
+  constructor(run) {
+    this.run = run;
+    this.options = {};
+  }
+
+  select() {
+    return this;
+  }
+
+  populate() {
+    return this;
+  }
+
+  lean() {
+    return this;
+  }
+
+  distinct(field) {
+    const run = this.run;
+    this.run = async (options) => {
+      const values = (await run(options)).map((doc) => doc.get(field));
+      return [
+        ...new Map(values.map((value) => [String(value), value])).values(),
+      ];
+    };
+    return this;
+  }
+
+  exec() {
+    return Promise.resolve(this);
+  }
+
+  sort(sort) {
+    this.options.sort = sort;
+    return this;
+  }
+
+  limit(limit) {
+    this.options.limit = limit;
+    return this;
+  }
+
+  then(resolve, reject) {
+    return Promise.resolve()
+      .then(() => this.run(this.options))
+      .then(resolve, reject);
+  }
+}
+
+/**
+ * Replace `Model`'s query methods with ones backed by an array; returns
+ * the array. Call `mock.restoreAll()` to put the real methods back.
+ */
+export const useMemoryModel = (Model) => {
+  const docs = [];
+
+  const findAll = (filter, { sort, limit } = {}) => {
+    let found = docs.filter((doc) => matches(doc, filter));
+    if (sort) {
+      found = sortDocs(found, sort);
+    }
+    return limit ? found.slice(0, limit) : found;
+  };
+  const findFirst = (filter, sort) => findAll(filter, { sort })[0] || null;
+
+  // A separately loaded copy of a stored document writes back only the
+  // paths it changed, like Mongoose does
+  const save = (doc) => {
+    const stored = docs.find((item) => equals(item._id, doc._id));
+    if (!stored) {
+      docs.push(doc);
+    } else if (stored !== doc) {
+      doc.modifiedPaths().forEach((path) => stored.set(path, doc.get(path)));
+    }
+    return doc;
+  };
+
+  mock.method(
+    Model,
+    "find",
+    (filter) => new Query((options) => findAll(filter, options))
+  );
+  mock.method(Model, "findOne", (filter) => new Query(() => findFirst(filter)));
+  mock.method(
+    Model,
+    "findById",
+    (id) => new Query(() => findFirst({ _id: id }))
+  );
+  mock.method(
+    Model,
+    "exists",
+    async (filter) => findFirst(filter) && { _id: findFirst(filter)._id }
+  );
+  mock.method(
+    Model,
+    "countDocuments",
+    async (filter) => findAll(filter).length
+  );
+  mock.method(Model, "create", async (fields) => save(new Model(fields)));
+  mock.method(Model, "insertMany", async (list) =>
+    list.map((fields) => save(new Model(fields)))
+  );
+  mock.method(Model, "updateOne", async (filter, update) => {
+    const doc = findFirst(filter);
+    if (doc) {
+      applyUpdate(doc, update);
+    }
+    return { modifiedCount: doc ? 1 : 0 };
+  });
+  mock.method(
+    Model,
+    "findByIdAndUpdate",
+    (id, update) =>
+      new Query(() => {
+        const doc = findFirst({ _id: id });
+        if (doc) {
+          applyUpdate(doc, update);
+        }
+        return doc;
+      })
+  );
+  mock.method(
+    Model,
+    "findOneAndUpdate",
+    async (filter, update, options = {}) => {
+      const doc = findFirst(filter, options.sort);
+      if (doc) {
+        applyUpdate(doc, update);
+      }
+      return doc;
+    }
+  );
+  mock.method(Model, "deleteMany", async (filter) => {
+    const removed = findAll(filter);
+    removed.forEach((doc) => docs.splice(docs.indexOf(doc), 1));
+    return { deletedCount: removed.length };
+  });
+  mock.method(Model.prototype, "save", async function () {
+    return save(this);
+  });
+  mock.method(Model.prototype, "deleteOne", async function () {
+    if (docs.includes(this)) {
+      docs.splice(docs.indexOf(this), 1);
+    }
+    return { deletedCount: 1 };
+  });
+
+  return docs;
+};
+
+export default { matches, useMemoryModel };
@@ -0,0 +1,366 @@
+import { describe, it, before, after, beforeEach, mock } from "node:test";
+import assert from "node:assert/strict";
+import http from "http";
+import express from "express";
+import mongoose from "mongoose";
+import { useMemoryModel } from "./support/memoryModels.js";
+
+// Read when the modules load, so set before importing them
+process.env.JWT_SECRET ||= "webhook-test-secret";
+process.env.LOG_LEVEL = "error";
+process.env.WEBHOOK_MAX_ATTEMPTS = "3";
+process.env.WEBHOOK_ALLOWED_HOSTS = "127.0.0.1";
+process.env.RATE_LIMITS = JSON.stringify({
+  "webhooks:create": { limit: 1000 },
+});
+
+const { default: User } = await import("../models/User.js");
+const { default: Session } = await import("../models/Session.js");
+const { default: Webhook } = await import("../models/Webhook.js");
+const { default: WebhookDelivery } = await import(
+  "../models/WebhookDelivery.js"
+);
+const { default: webhookRoutes } = await import("../routes/webhooks.js");
+const { errorEnvelope, errorHandler } = await import(
+  "../middleware/errorHandler.js"
+);
+const { signToken } = await import("../config/authKeys.js");
+const { verifyWebhookSignature } = await import(
+  "../services/webhooks/signature.js"
+);
+const { dispatchWebhookEvent, sendDueWebhookDeliveries, retryDelay } =
+  await import("../services/webhooks/index.js");
+
+/**
+ * A local receiver that records every request and answers with the
+ * status codes queued in `responses` (200 once they run out)
+ */
+const startReceiver = async () => {
+  const receiver = { requests: [], responses: [] };
+  receiver.server = http.createServer((req, res) => {
+    let body = "";
+    req.on("data", (chunk) => (body += chunk));
+    req.on("end", () => {
+      receiver.requests.push({ headers: req.headers, body });
+      res.statusCode = receiver.responses.shift() || 200;
+      res.end();
+    });
+  });
+  await new Promise((resolve) =>
+    receiver.server.listen(0, "127.0.0.1", resolve)
+  );
+  receiver.url = `http://127.0.0.1:${receiver.server.address().port}/hooks`;
+  return receiver;
+};
+
+const startApi = async () => {
+  const app = express();
+  app.use(errorEnvelope);
+  app.use(express.json());
+  app.use("/api/webhooks", webhookRoutes);
+  app.use(errorHandler);
+
+  const server = await new Promise((resolve) => {
+    const listening = app.listen(0, "127.0.0.1", () => resolve(listening));
+  });
+  return { server, url: `http://127.0.0.1:${server.address().port}` };
+};
+
+describe("webhooks", () => {
+  let api;
+  let receiver;
+  let webhooks;
+  let deliveries;
+  const alice = new User({ username: "alice", email: "alice@example.com" });
+  const bob = new User({ username: "bob", email: "bob@example.com" });
+
+  const request = async (user, method, path, body) => {
+    const token = signToken({
+      userId: user._id,
+      sid: new mongoose.Types.ObjectId(),
+    });
+    const res = await fetch(`${api.url}/api/webhooks${path}`, {
+      method,
+      headers: {
+        Authorization: `Bearer ${token}`,
+        "Content-Type": "application/json",
+      },
+      body: body && JSON.stringify(body),
+    });
+    return { status: res.status, body: await res.json() };
+  };
+
+  const createWebhook = async (fields = {}) => {
+    const res = await request(alice, "POST", "/", {
+      url: receiver.url,
+      events: ["message.created"],
+      ...fields,
+    });
+    assert.equal(res.status, 201, res.body.error);
+    return res.body.webhook;
+  };
+
+  const dispatch = () =>
+    dispatchWebhookEvent(
+      "message.created",
+      { message: { content: "hello" } },
+      { userIds: [alice._id] }
+    );
+
+  // Retries are scheduled in the future; pretend the wait is over
+  const makeDue = (delivery) => {
+    delivery.nextAttemptAt = new Date(Date.now() - 1000);
+  };
+
+  before(async () => {
+    const users = useMemoryModel(User);
+    users.push(alice, bob);
+    useMemoryModel(Session);
+    mock.method(Session, "exists", async () => ({ _id: "session" }));
+    webhooks = useMemoryModel(Webhook);
+    deliveries = useMemoryModel(WebhookDelivery);
+
+    receiver = await startReceiver();
+    api = await startApi();
+  });
+
+  after(() => {
+    mock.restoreAll();
+    api.server.close();
+    receiver.server.close();
+  });
+
+  beforeEach(() => {
+    webhooks.length = 0;
+    deliveries.length = 0;
+    receiver.requests.length = 0;
+    receiver.responses.length = 0;
+  });
+
+  it("signs deliveries with the webhook secret", async () => {
+    const webhook = await createWebhook();
+    assert.match(webhook.secret, /^whsec_/);
+
+    const [delivery] = await dispatch();
+    await sendDueWebhookDeliveries();
+
+    assert.equal(receiver.requests.length, 1);
+    const { headers, body } = receiver.requests[0];
+    assert.equal(headers["x-webhook-event"], "message.created");
+    assert.equal(headers["x-webhook-id"], delivery._id.toString());
+    assert.equal(
+      verifyWebhookSignature(webhook.secret, {
+        timestamp: headers["x-webhook-timestamp"],
+        signature: headers["x-webhook-signature"],
+        body,
+      }),
+      true
+    );
+    assert.equal(
+      verifyWebhookSignature("whsec_wrong", {
+        timestamp: headers["x-webhook-timestamp"],
+        signature: headers["x-webhook-signature"],
+        body,
+      }),
+      false
+    );
+
+    const payload = JSON.parse(body);
+    assert.equal(payload.id, delivery._id.toString());
+    assert.equal(payload.event, "message.created");
+    assert.deepEqual(payload.data, { message: { content: "hello" } });
+    assert.equal(delivery.status, "succeeded");
+    assert.equal(delivery.responseStatus, 200);
+  });
+
+  it("only queues events for subscribed, active webhooks", async () => {
+    await createWebhook({ events: ["group.created"] });
+    const paused = await createWebhook();
+    await request(alice, "PUT", `/${paused._id}`, { active: false });
+
+    assert.deepEqual(await dispatch(), []);
+  });
+
+  it("retries with backoff after a non-2xx response", async () => {
+    await createWebhook();
+    receiver.responses.push(500, 503);
+
+    const [delivery] = await dispatch();
+    const before = Date.now();
+    await sendDueWebhookDeliveries();
+
+    assert.equal(delivery.status, "pending");
+    assert.equal(delivery.attempts, 1);
+    assert.equal(delivery.responseStatus, 500);
+    assert.equal(delivery.lastError, "Receiver responded with 500");
+    const wait = delivery.nextAttemptAt.getTime() - before;
+    assert.ok(wait >= retryDelay(1) && wait < retryDelay(1) + 5000);
+
+    // Not due yet: nothing is sent
+    await sendDueWebhookDeliveries();
+    assert.equal(receiver.requests.length, 1);
+
+    makeDue(delivery);
+    const retriedAt = Date.now();
+    await sendDueWebhookDeliveries();
+    assert.equal(delivery.attempts, 2);
+    assert.equal(delivery.responseStatus, 503);
+    assert.ok(
+      delivery.nextAttemptAt.getTime() - retriedAt >= retryDelay(2),
+      "the second wait is longer"
+    );
+    assert.equal(retryDelay(2), 2 * retryDelay(1));
+
+    makeDue(delivery);
+    await sendDueWebhookDeliveries();
+    assert.equal(delivery.status, "succeeded");
+    assert.equal(delivery.attempts, 3);
+    assert.equal(receiver.requests.length, 3);
+  });
+
+  it("marks a delivery failed after the last attempt", async () => {
+    await createWebhook();
+    receiver.responses.push(500, 500, 500);
+
+    const [delivery] = await dispatch();
+    for (let attempt = 0; attempt < 3; attempt += 1) {
+      makeDue(delivery);
+      await sendDueWebhookDeliveries();
+    }
+
+    assert.equal(delivery.status, "failed");
+    assert.equal(delivery.attempts, 3);
+    assert.ok(delivery.completedAt);
+    assert.equal(delivery.attemptLog.length, 3);
+
+    makeDue(delivery);
+    await sendDueWebhookDeliveries();
+    assert.equal(receiver.requests.length, 3);
+  });
+
+  it("lists and filters the delivery log", async () => {
+    const webhook = await createWebhook();
+    receiver.responses.push(500, 500, 500);
+
+    const [failed] = await dispatch();
+    for (let attempt = 0; attempt < 3; attempt += 1) {
+      makeDue(failed);
+      await sendDueWebhookDeliveries();
+    }
+    await dispatch();
+    await sendDueWebhookDeliveries();
+
+    const all = await request(alice, "GET", `/${webhook._id}/deliveries`);
+    assert.equal(all.status, 200);
+    assert.equal(all.body.deliveries.length, 2);
+    assert.deepEqual(
+      all.body.deliveries.map((delivery) => delivery.status),
+      ["succeeded", "failed"]
+    );
+
+    const onlyFailed = await request(
+      alice,
+      "GET",
+      `/${webhook._id}/deliveries?status=failed`
+    );
+    assert.deepEqual(
+      onlyFailed.body.deliveries.map((delivery) => delivery._id),
+      [failed._id.toString()]
+    );
+
+    const firstPage = await request(
+      alice,
+      "GET",
+      `/${webhook._id}/deliveries?limit=1`
+    );
+    assert.equal(firstPage.body.hasMore, true);
+    const secondPage = await request(
+      alice,
+      "GET",
+      `/${webhook._id}/deliveries?limit=1&before=${firstPage.body.nextCursor}`
+    );
+    assert.equal(secondPage.body.deliveries[0]._id, failed._id.toString());
+    assert.equal(secondPage.body.hasMore, false);
+
+    const detail = await request(
+      alice,
+      "GET",
+      `/${webhook._id}/deliveries/${failed._id}`
+    );
+    assert.equal(detail.status, 200);
+    assert.equal(detail.body.delivery.attemptLog.length, 3);
+    assert.equal(detail.body.delivery.attemptLog[0].statusCode, 500);
+    assert.equal(detail.body.delivery.payload.event, "message.created");
+
+    const stranger = await request(bob, "GET", `/${webhook._id}/deliveries`);
+    assert.equal(stranger.status, 404);
+  });
+
+  it("redelivers a finished delivery", async () => {
+    const webhook = await createWebhook();
+    receiver.responses.push(500, 500, 500);
+
+    const [delivery] = await dispatch();
+    for (let attempt = 0; attempt < 3; attempt += 1) {
+      makeDue(delivery);
+      await sendDueWebhookDeliveries();
+    }
+    assert.equal(delivery.status, "failed");
+
+    const path = `/${webhook._id}/deliveries/${delivery._id}/redeliver`;
+    const queued = await request(alice, "POST", path);
+    assert.equal(queued.status, 202);
+    assert.equal(queued.body.delivery.status, "pending");
+    assert.equal(queued.body.delivery.attempts, 0);
+
+    // Still pending, so it cannot be queued twice
+    const again = await request(alice, "POST", path);
+    assert.equal(again.status, 409);
+
+    await sendDueWebhookDeliveries();
+    assert.equal(delivery.status, "succeeded");
+    assert.equal(delivery.attemptLog.length, 4);
+    assert.equal(receiver.requests.length, 4);
+
+    const stranger = await request(bob, "POST", path);
+    assert.equal(stranger.status, 404);
+  });
+
+  it("refuses internal targets that are not allowed", async () => {
+    const allowed = process.env.WEBHOOK_ALLOWED_HOSTS;
+    process.env.WEBHOOK_ALLOWED_HOSTS = "";
+    try {
+      for (const url of [
+        receiver.url,
+        "http://169.254.169.254/latest/meta-data",
+        "http://[::1]:27017/",
+        "http://10.0.0.1/hooks",
+      ]) {
+        const res = await request(alice, "POST", "/", {
+          url,
+          events: ["message.created"],
+        });
+        assert.equal(res.status, 400, url);
+      }
+
+      // A webhook saved while allowed is not sent once it no longer is
+      webhooks.push(
+        new Webhook({
+          owner: alice._id,
+          url: receiver.url,
+          events: ["message.created"],
+          secret: "whsec_test",
+        })
+      );
+      const [delivery] = await dispatch();
+      await sendDueWebhookDeliveries();
+      assert.equal(receiver.requests.length, 0);
+      assert.equal(
+        delivery.lastError,
+        "Webhook URL must point to a public host"
+      );
+    } finally {
+      process.env.WEBHOOK_ALLOWED_HOSTS = allowed;
+    }
+  });
+});
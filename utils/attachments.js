@@ -0,0 +1,135 @@
+import crypto from "crypto";
+import Attachment from "../models/Attachment.js";
+import Group from "../models/Group.js";
+import { getStorageDriver } from "../services/storage/index.js";
+
+const validObjectIdPattern = /^[0-9a-fA-F]{24}$/;
+
+/**
+ * Save an uploaded file (from multer) with the storage driver and record
+ * it as an attachment of a DM (`receiverId`) or a group (`groupId`)
+ */
+export const storeAttachment = async ({
+  file,
+  uploaderId,
+  receiverId = null,
+  groupId = null,
+}) => {
+  const { buffer, originalname, mimetype, size } = file;
+  const checksum = crypto.createHash("sha256").update(buffer).digest("hex");
+
+  const storage = getStorageDriver();
+  const { key } = await storage.save({
+    buffer,
+    filename: originalname,
+    mimeType: mimetype,
+  });
+
+  return Attachment.create({
+    uploader: uploaderId,
+    receiver: receiverId,
+    group: groupId,
+    driver: storage.name,
+    storageKey: key,
+    filename: originalname,
+    mimeType: mimetype,
+    size,
+    checksum,
+  });
+};
+
+/**
+ * Look up an uploaded attachment for a new message
+ *
+ * The attachment must belong to the sender, must not be used by another
+ * message yet, and must have been uploaded to the same conversation.
+ * Resolves to `{ attachment, messageType }` or `{ error }`.
+ */
+export const resolveMessageAttachment = async ({
+  attachmentId,
+  senderId,
+  receiverId = null,
+  groupId = null,
+}) => {
+  if (!validObjectIdPattern.test(String(attachmentId))) {
+    return { error: "Invalid attachment ID format" };
+  }
+
+  const attachment = await Attachment.findOne({
+    _id: attachmentId,
+    uploader: senderId,
+    message: null,
+  });
+
+  if (!attachment) {
+    return { error: "Attachment not found" };
+  }
+
+  const sameConversation = groupId
+    ? attachment.group?.toString() === groupId.toString()
+    : attachment.receiver?.toString() === receiverId?.toString();
+
+  if (!sameConversation) {
+    return { error: "Attachment was uploaded to a different conversation" };
+  }
+
+  return {
+    attachment,
+    messageType: attachment.mimeType.startsWith("image/") ? "image" : "file",
+  };
+};
+
+/**
+ * Link an attachment to the message that carries it
+ */
+export const claimAttachment = async (attachment, message) => {
+  attachment.message = message._id;
+  await attachment.save();
+};
+
+/**
+ * Delete an attachment's stored file and its record, e.g. when the
+ * message carrying it is deleted for everyone
+ */
+export const removeAttachment = async (attachmentId) => {
+  const attachment = await Attachment.findById(attachmentId);
+  if (!attachment) {
+    return;
+  }
+
+  await getStorageDriver(attachment.driver).remove(attachment.storageKey);
+  await attachment.deleteOne();
+};
+
+/**
+ * Check whether a user may download an attachment
+ */
+export const canAccessAttachment = async (attachment, userId) => {
+  const id = userId.toString();
+
+  if (attachment.uploader.toString() === id) {
+    return true;
+  }
+
+  if (attachment.receiver) {
+    return attachment.receiver.toString() === id;
+  }
+
+  if (attachment.group) {
+    const isMember = await Group.exists({
+      _id: attachment.group,
+      members: userId,
+    });
+    return Boolean(isMember);
+  }
+
+  return false;
+};
+
+export default {
+  storeAttachment,
+  resolveMessageAttachment,
+  claimAttachment,
+  removeAttachment,
+  canAccessAttachment,
+};
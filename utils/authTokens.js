@@ -0,0 +1,48 @@
+import crypto from "crypto";
+import AuthToken from "../models/AuthToken.js";
+
+const hashToken = (token) =>
+  crypto.createHash("sha256").update(token).digest("hex");
+
+/**
+ * Issue a single-use token, replacing any unused one of the same type
+ *
+ * Resolves to the raw token, which should only ever be sent to the user.
+ */
+export const issueAuthToken = async (userId, type, ttlMs) => {
+  const token = crypto.randomBytes(32).toString("base64url");
+
+  await AuthToken.deleteMany({ user: userId, type, usedAt: null });
+  await AuthToken.create({
+    user: userId,
+    type,
+    tokenHash: hashToken(token),
+    expiresAt: new Date(Date.now() + ttlMs),
+  });
+
+  return token;
+};
+
+/**
+ * Use up a token; resolves to its record, or null if it is unknown,
+ * expired or already used
+ */
+export const consumeAuthToken = async (token, type) => {
+  if (typeof token !== "string" || token.length === 0) {
+    return null;
+  }
+
+  const now = new Date();
+  return AuthToken.findOneAndUpdate(
+    {
+      tokenHash: hashToken(token),
+      type,
+      usedAt: null,
+      expiresAt: { $gt: now },
+    },
+    { usedAt: now },
+    { new: true }
+  );
+};
+
+export default { issueAuthToken, consumeAuthToken };
@@ -0,0 +1,108 @@
+import User from "../models/User.js";
+import { getPresenceStore } from "../services/realtime/index.js";
+
+/**
+ * Whether either user has blocked the other
+ */
+export const isBlockedBetween = async (userId, otherId) =>
+  Boolean(
+    await User.exists({
+      $or: [
+        { _id: userId, blockedUsers: otherId },
+        { _id: otherId, blockedUsers: userId },
+      ],
+    })
+  );
+
+/**
+ * IDs of the users hidden from `userId`: those it blocked and those who
+ * blocked it, as a Set of strings
+ */
+export const getHiddenUserIds = async (userId) => {
+  const [user, blockedBy] = await Promise.all([
+    User.findById(userId).select("+blockedUsers"),
+    User.find({ blockedUsers: userId }).distinct("_id"),
+  ]);
+
+  return new Set(
+    [...(user?.blockedUsers || []), ...blockedBy].map((id) => id.toString())
+  );
+};
+
+/**
+ * Which of `candidateIds` have blocked `userId` (used to refuse adding
+ * them to a group)
+ */
+export const findUsersBlocking = async (userId, candidateIds) => {
+  const ids = await User.find({
+    _id: { $in: candidateIds },
+    blockedUsers: userId,
+  }).distinct("_id");
+  return ids.map((id) => id.toString());
+};
+
+/**
+ * Hide the online status of blocked users in user documents or objects
+ */
+export const hidePresence = (users, hiddenIds) =>
+  users.map((user) => {
+    if (!hiddenIds.has(user._id.toString())) {
+      return user;
+    }
+    const plain = typeof user.toObject === "function" ? user.toObject() : user;
+    return { ...plain, isOnline: false, lastSeen: null };
+  });
+
+/**
+ * Send the online users list, leaving out users on either side of a block
+ *
+ * With `userId`, only that user's connections are updated. Otherwise
+ * everyone is: users without blocks share one broadcast and the others
+ * get a filtered list in their personal room.
+ */
+export const emitOnlineUsers = async (io, userId) => {
+  const online = await getPresenceStore().getOnlineUsers();
+
+  if (userId) {
+    const hidden = await getHiddenUserIds(userId);
+    io.to(userId.toString()).emit(
+      "online-users",
+      online.filter((id) => !hidden.has(id))
+    );
+    return;
+  }
+
+  const blockers = await User.find({ "blockedUsers.0": { $exists: true } })
+    .select("+blockedUsers")
+    .lean();
+
+  const hidden = new Map();
+  const hide = (from, id) => {
+    if (!hidden.has(from)) {
+      hidden.set(from, new Set());
+    }
+    hidden.get(from).add(id);
+  };
+  blockers.forEach((user) =>
+    user.blockedUsers.forEach((blockedId) => {
+      hide(user._id.toString(), blockedId.toString());
+      hide(blockedId.toString(), user._id.toString());
+    })
+  );
+
+  io.except([...hidden.keys()]).emit("online-users", online);
+  hidden.forEach((ids, id) =>
+    io.to(id).emit(
+      "online-users",
+      online.filter((onlineId) => !ids.has(onlineId))
+    )
+  );
+};
+
+export default {
+  isBlockedBetween,
+  getHiddenUserIds,
+  findUsersBlocking,
+  hidePresence,
+  emitOnlineUsers,
+};
@@ -0,0 +1,89 @@
+import Message from "../models/Message.js";
+import { logger } from "./logger.js";
+
+// How long recipients have to acknowledge a message before we give up
+const DELIVERY_ACK_TIMEOUT = 10000;
+
+const senderIdOf = (message) =>
+  (message.sender._id || message.sender).toString();
+
+/**
+ * Mark a message delivered and tell the sender
+ *
+ * Only moves a message forward from "sent"; later acks are ignored.
+ */
+export const markDelivered = async (io, message) => {
+  const deliveredAt = new Date();
+  const result = await Message.updateOne(
+    { _id: message._id, status: "sent" },
+    { status: "delivered", deliveredAt }
+  );
+
+  if (result.modifiedCount > 0) {
+    io.to(senderIdOf(message)).emit("message-status", {
+      messageIds: [message._id],
+      status: "delivered",
+      at: deliveredAt,
+    });
+  }
+};
+
+/**
+ * Emit a message to a room and wait for recipient acknowledgements
+ *
+ * Recipients acknowledge by calling the callback passed with the event.
+ * The sender's own connections are left out so they cannot ack their own
+ * message. The first acknowledgement marks the message delivered.
+ */
+export const emitWithDeliveryAck = (io, room, event, message) => {
+  io.to(room)
+    .except(senderIdOf(message))
+    .timeout(DELIVERY_ACK_TIMEOUT)
+    .emit(event, message, (error, responses) => {
+      // A timeout still reports the responses that did arrive
+      if (!responses || responses.length === 0) {
+        return;
+      }
+      markDelivered(io, message).catch((err) =>
+        logger.error("error marking message delivered", { error: err })
+      );
+    });
+};
+
+/**
+ * Mark every unread DM from `senderId` to `readerId` as read
+ *
+ * Notifies the sender with both the legacy `messages-read` event and a
+ * `message-status` event listing the affected messages.
+ */
+export const markConversationRead = async (io, { readerId, senderId }) => {
+  const unread = await Message.find({
+    sender: senderId,
+    receiver: readerId,
+    isRead: false,
+  }).select("_id");
+
+  if (unread.length === 0) {
+    return { messageIds: [] };
+  }
+
+  const messageIds = unread.map((message) => message._id);
+  const readAt = new Date();
+
+  await Message.updateMany(
+    { _id: { $in: messageIds } },
+    { isRead: true, readAt, status: "read" }
+  );
+
+  const room = senderId.toString();
+  io.to(room).emit("messages-read", { readBy: readerId });
+  io.to(room).emit("message-status", {
+    messageIds,
+    status: "read",
+    at: readAt,
+  });
+
+  return { messageIds, readAt };
+};
+
+export default { markDelivered, emitWithDeliveryAck, markConversationRead };
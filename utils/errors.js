@@ -0,0 +1,121 @@
+/**
+ * Machine-readable error codes returned with every error response
+ *
+ * REST errors are `{ error, code, requestId }` (plus `fields` for
+ * validation errors); socket errors use the same envelope with `message`
+ * and `event` in place of `error`. Codes are stable; messages may change.
+ */
+export const ErrorCodes = {
+  BAD_REQUEST: "BAD_REQUEST",
+  INVALID_JSON: "INVALID_JSON",
+  VALIDATION_FAILED: "VALIDATION_FAILED",
+  UNAUTHORIZED: "UNAUTHORIZED",
+  FORBIDDEN: "FORBIDDEN",
+  NOT_FOUND: "NOT_FOUND",
+  CONFLICT: "CONFLICT",
+  GONE: "GONE",
+  PAYLOAD_TOO_LARGE: "PAYLOAD_TOO_LARGE",
+  UNSUPPORTED_MEDIA_TYPE: "UNSUPPORTED_MEDIA_TYPE",
+  RATE_LIMITED: "RATE_LIMITED",
+  USER_BLOCKED: "USER_BLOCKED",
+  INTERNAL_ERROR: "INTERNAL_ERROR",
+};
+
+const statusCodes = {
+  400: ErrorCodes.BAD_REQUEST,
+  401: ErrorCodes.UNAUTHORIZED,
+  403: ErrorCodes.FORBIDDEN,
+  404: ErrorCodes.NOT_FOUND,
+  409: ErrorCodes.CONFLICT,
+  410: ErrorCodes.GONE,
+  413: ErrorCodes.PAYLOAD_TOO_LARGE,
+  415: ErrorCodes.UNSUPPORTED_MEDIA_TYPE,
+  429: ErrorCodes.RATE_LIMITED,
+};
+
+// Default code for an HTTP status (also used for `{ error, status }` results)
+export const codeForStatus = (status) =>
+  statusCodes[status] ||
+  (status >= 500 ? ErrorCodes.INTERNAL_ERROR : ErrorCodes.BAD_REQUEST);
+
+/**
+ * An error that is safe to show to the client
+ */
+export class AppError extends Error {
+  constructor(message, { status = 400, code, details } = {}) {
+    super(message);
+    this.name = "AppError";
+    this.status = status;
+    this.code = code || codeForStatus(status);
+    this.details = details;
+  }
+}
+
+/**
+ * Turn any thrown error into `{ status, code, message, details }`
+ *
+ * Only AppErrors and well-known library errors keep their message;
+ * anything else becomes a generic 500 so internals are not leaked.
+ */
+export const describeError = (error) => {
+  if (error instanceof AppError) {
+    return {
+      status: error.status,
+      code: error.code,
+      message: error.message,
+      details: error.details,
+    };
+  }
+
+  // express.json() body errors
+  if (error.type === "entity.parse.failed") {
+    return {
+      status: 400,
+      code: ErrorCodes.INVALID_JSON,
+      message: "Request body is not valid JSON",
+    };
+  }
+  if (error.type === "entity.too.large") {
+    return {
+      status: 413,
+      code: ErrorCodes.PAYLOAD_TOO_LARGE,
+      message: "Request body is too large",
+    };
+  }
+
+  // Mongoose
+  if (error.name === "CastError") {
+    return {
+      status: 400,
+      code: ErrorCodes.BAD_REQUEST,
+      message: `Invalid ${error.path} format`,
+    };
+  }
+  if (error.name === "ValidationError" && error.errors) {
+    // Mongoose's own messages name internal paths, so only list the fields
+    const fields = Object.fromEntries(
+      Object.keys(error.errors).map((path) => [path, `${path} is invalid`])
+    );
+    return {
+      status: 400,
+      code: ErrorCodes.VALIDATION_FAILED,
+      message: Object.values(fields)[0] || "Validation failed",
+      details: { fields },
+    };
+  }
+  if (error.code === 11000) {
+    return {
+      status: 409,
+      code: ErrorCodes.CONFLICT,
+      message: "A record with these details already exists",
+    };
+  }
+
+  return {
+    status: 500,
+    code: ErrorCodes.INTERNAL_ERROR,
+    message: "Internal server error",
+  };
+};
+
+export default { ErrorCodes, AppError, codeForStatus, describeError };
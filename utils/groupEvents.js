@@ -0,0 +1,108 @@
+import { queueWebhookEvent } from "../services/webhooks/index.js";
+
+/**
+ * Realtime notifications for group changes made outside the socket
+ * handlers (REST routes), keeping the group rooms in sync
+ *
+ * Every connection of a user is in that user's personal room, so
+ * `io.in(userId)` reaches all of their tabs and devices on any node.
+ * Creation and membership changes also go out as webhook events, to the
+ * group's webhooks and the personal webhooks of the members concerned.
+ */
+
+const roomOf = (group) => (group._id || group).toString();
+
+/**
+ * Join every member of a new group to its room and announce the group
+ */
+export const emitGroupCreated = (io, group) => {
+  const room = roomOf(group);
+
+  group.members.forEach((member) =>
+    io.in((member._id || member).toString()).socketsJoin(room)
+  );
+  io.to(room).emit("group-created", group);
+  queueWebhookEvent(
+    "group.created",
+    { group },
+    {
+      groupId: room,
+      userIds: group.members.map((member) => member._id || member),
+    }
+  );
+};
+
+/**
+ * Tell the group's room that its details, settings or roles changed
+ */
+export const emitGroupUpdated = (io, group) => {
+  io.to(roomOf(group)).emit("group-updated", group);
+};
+
+/**
+ * Join new members to the group room, then announce them to everyone in
+ * it (the new members included)
+ */
+export const emitMembersAdded = (io, group, memberIds, addedBy) => {
+  const room = roomOf(group);
+  const members = memberIds.map((id) => id.toString());
+
+  members.forEach((memberId) => io.in(memberId).socketsJoin(room));
+  io.to(room).emit("group-member-added", {
+    groupId: room,
+    members,
+    addedBy: addedBy?.toString() || null,
+    group,
+  });
+  queueWebhookEvent(
+    "group.member_added",
+    { groupId: room, members, addedBy: addedBy?.toString() || null },
+    { groupId: room, userIds: members }
+  );
+};
+
+/**
+ * Announce a member's removal (or departure) to the room, then take them
+ * out of it so they stop receiving the group's messages
+ */
+export const emitMemberRemoved = (io, group, memberId, removedBy) => {
+  const room = roomOf(group);
+
+  io.to(room).emit("group-member-removed", {
+    groupId: room,
+    memberId: memberId.toString(),
+    removedBy: removedBy?.toString() || null,
+    group,
+  });
+  io.in(memberId.toString()).socketsLeave(room);
+  queueWebhookEvent(
+    "group.member_removed",
+    {
+      groupId: room,
+      memberId: memberId.toString(),
+      removedBy: removedBy?.toString() || null,
+    },
+    { groupId: room, userIds: [memberId] }
+  );
+};
+
+/**
+ * Announce that a group was deleted and empty its room
+ */
+export const emitGroupDeleted = (io, groupId, deletedBy) => {
+  const room = roomOf(groupId);
+
+  io.to(room).emit("group-deleted", {
+    groupId: room,
+    deletedBy: deletedBy?.toString() || null,
+  });
+  io.in(room).socketsLeave(room);
+};
+
+export default {
+  emitGroupCreated,
+  emitGroupUpdated,
+  emitMembersAdded,
+  emitMemberRemoved,
+  emitGroupDeleted,
+};
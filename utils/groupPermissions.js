@@ -0,0 +1,198 @@
+/**
+ * Group roles and the permission matrix
+ *
+ * Roles, from lowest to highest: member, moderator, admin, owner. Each
+ * group stores the lowest role allowed to perform the configurable
+ * actions in `group.permissions`; the other actions have fixed minimums.
+ * A user always holds the highest role they are listed under.
+ */
+export const GROUP_ROLES = ["member", "moderator", "admin", "owner"];
+
+// Configurable per group (see `permissions` in models/Group.js)
+export const DEFAULT_GROUP_PERMISSIONS = {
+  post: "member",
+  addMembers: "admin",
+  rename: "admin",
+  pin: "moderator",
+  deleteMessages: "moderator",
+};
+
+const FIXED_PERMISSIONS = {
+  removeMembers: "admin",
+  manageRoles: "admin",
+  changePermissions: "owner",
+  transferOwnership: "owner",
+  setAnnouncementOnly: "admin",
+  deleteGroup: "owner",
+  manageWebhooks: "admin",
+};
+
+const roleRank = (role) => GROUP_ROLES.indexOf(role);
+
+const includesId = (ids, userId) =>
+  ids.some((id) => id.toString() === userId.toString());
+
+// Groups created before roles existed have no owner; their first admin
+// counts as the owner
+export const getGroupOwnerId = (group) =>
+  (group.owner || group.admins[0] || null)?.toString() || null;
+
+/**
+ * The user's role in the group, or null if they are not a member
+ */
+export const getGroupRole = (group, userId) => {
+  if (!userId || !includesId(group.members, userId)) {
+    return null;
+  }
+  if (getGroupOwnerId(group) === userId.toString()) {
+    return "owner";
+  }
+  if (includesId(group.admins, userId)) {
+    return "admin";
+  }
+  if (includesId(group.moderators || [], userId)) {
+    return "moderator";
+  }
+  return "member";
+};
+
+/**
+ * The lowest role allowed to perform `permission` in the group
+ */
+export const getRequiredRole = (group, permission) => {
+  if (FIXED_PERMISSIONS[permission]) {
+    return FIXED_PERMISSIONS[permission];
+  }
+  if (!(permission in DEFAULT_GROUP_PERMISSIONS)) {
+    throw new Error(`Unknown group permission "${permission}"`);
+  }
+
+  const role =
+    group.permissions?.[permission] || DEFAULT_GROUP_PERMISSIONS[permission];
+
+  // Announcement-only groups raise posting to admins at least
+  if (permission === "post" && group.announcementOnly) {
+    return roleRank(role) > roleRank("admin") ? role : "admin";
+  }
+  return role;
+};
+
+/**
+ * Whether the user may perform `permission` in the group
+ */
+export const hasGroupPermission = (group, userId, permission) => {
+  const role = getGroupRole(group, userId);
+  return (
+    role !== null &&
+    roleRank(role) >= roleRank(getRequiredRole(group, permission))
+  );
+};
+
+const actionNames = {
+  post: "post in this group",
+  addMembers: "add members to this group",
+  rename: "edit this group",
+  pin: "pin in this group",
+  deleteMessages: "delete other members' messages",
+  removeMembers: "remove members from this group",
+  manageRoles: "change member roles",
+  changePermissions: "change this group's permissions",
+  transferOwnership: "transfer ownership of this group",
+  setAnnouncementOnly: "change announcement-only mode",
+  deleteGroup: "delete this group",
+  manageWebhooks: "manage this group's webhooks",
+};
+
+/**
+ * Why the user may not perform `permission`, as `{ error, status }`, or
+ * null when they may
+ */
+export const getPermissionError = (group, userId, permission) => {
+  if (!getGroupRole(group, userId)) {
+    return { error: "You are not a member of this group", status: 403 };
+  }
+  if (!hasGroupPermission(group, userId, permission)) {
+    if (permission === "post" && group.announcementOnly) {
+      return {
+        error: "Only admins can post in this announcement-only group",
+        status: 403,
+      };
+    }
+    return {
+      error: `You do not have permission to ${actionNames[permission]}`,
+      status: 403,
+    };
+  }
+  return null;
+};
+
+/**
+ * Whether `actorId` may act on `targetId` (remove them or change their
+ * role). Nobody can act on the owner; admins can act on other admins so
+ * they can still step each other down.
+ */
+export const canManageMember = (group, actorId, targetId) => {
+  const actorRole = getGroupRole(group, actorId);
+  const targetRole = getGroupRole(group, targetId);
+
+  if (!actorRole || !targetRole || targetRole === "owner") {
+    return false;
+  }
+  return roleRank(actorRole) >= roleRank(targetRole);
+};
+
+/**
+ * Give a member a role below owner (mutates the group; call save())
+ */
+export const setGroupRole = (group, userId, role) => {
+  const id = userId.toString();
+  group.admins = group.admins.filter((adminId) => adminId.toString() !== id);
+  group.moderators = (group.moderators || []).filter(
+    (moderatorId) => moderatorId.toString() !== id
+  );
+
+  if (role === "admin") {
+    group.admins.push(userId);
+  } else if (role === "moderator") {
+    group.moderators.push(userId);
+  }
+};
+
+/**
+ * Remove a user from the group and all of its roles (mutates the group;
+ * call save())
+ *
+ * When the owner leaves, ownership passes to the first remaining admin,
+ * then moderator, then member.
+ */
+export const removeGroupMember = (group, userId) => {
+  const id = userId.toString();
+  const wasOwner = getGroupOwnerId(group) === id;
+
+  group.members = group.members.filter(
+    (memberId) => memberId.toString() !== id
+  );
+  setGroupRole(group, userId, "member");
+
+  if (wasOwner) {
+    const successor =
+      group.admins[0] || group.moderators[0] || group.members[0] || null;
+    group.owner = successor;
+    if (successor) {
+      setGroupRole(group, successor, "admin");
+    }
+  }
+};
+
+export default {
+  GROUP_ROLES,
+  DEFAULT_GROUP_PERMISSIONS,
+  getGroupOwnerId,
+  getGroupRole,
+  getRequiredRole,
+  hasGroupPermission,
+  getPermissionError,
+  canManageMember,
+  setGroupRole,
+  removeGroupMember,
+};
@@ -0,0 +1,62 @@
+import Group from "../models/Group.js";
+import Message from "../models/Message.js";
+import ReadReceipt from "../models/ReadReceipt.js";
+import GroupInvite from "../models/GroupInvite.js";
+import Webhook from "../models/Webhook.js";
+import WebhookDelivery from "../models/WebhookDelivery.js";
+import Attachment from "../models/Attachment.js";
+import { removeAttachment } from "./attachments.js";
+import { getGroupRole, removeGroupMember } from "./groupPermissions.js";
+import { emitMemberRemoved, emitGroupDeleted } from "./groupEvents.js";
+
+/**
+ * Delete a group with its messages, attachments, read positions, invite
+ * links and webhooks (with their deliveries), and tell its room
+ */
+export const deleteGroup = async (io, groupId, deletedBy) => {
+  // Every file uploaded to the group, sent in a message or not
+  const attachmentIds = await Attachment.find({ group: groupId }).distinct(
+    "_id"
+  );
+  for (const attachmentId of attachmentIds) {
+    await removeAttachment(attachmentId);
+  }
+
+  const webhookIds = await Webhook.find({ group: groupId }).distinct("_id");
+  await WebhookDelivery.deleteMany({ webhook: { $in: webhookIds } });
+
+  await Message.deleteMany({ group: groupId });
+  await ReadReceipt.deleteMany({ group: groupId });
+  await GroupInvite.deleteMany({ group: groupId });
+  await Webhook.deleteMany({ group: groupId });
+  await Group.findByIdAndDelete(groupId);
+
+  emitGroupDeleted(io, groupId, deletedBy);
+};
+
+/**
+ * Take a member out of the group, shared by the REST route and the
+ * socket handler
+ *
+ * An owner hands the group to the next member (see removeGroupMember);
+ * the last member to leave deletes it. Resolves to `{ deleted }`, or
+ * `{ error, status }` when the user is not a member.
+ */
+export const leaveGroup = async (io, group, userId) => {
+  if (!getGroupRole(group, userId)) {
+    return { error: "You are not a member of this group", status: 403 };
+  }
+
+  removeGroupMember(group, userId);
+
+  if (group.members.length === 0) {
+    await deleteGroup(io, group._id, userId);
+    return { deleted: true };
+  }
+
+  await group.save();
+  emitMemberRemoved(io, group, userId, userId);
+  return { deleted: false };
+};
+
+export default { deleteGroup, leaveGroup };
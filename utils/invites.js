@@ -0,0 +1,104 @@
+import crypto from "crypto";
+import Group from "../models/Group.js";
+import GroupInvite from "../models/GroupInvite.js";
+
+/**
+ * Create an invite link for a group
+ *
+ * `expiresAt` and `maxUses` are optional; without them the link stays
+ * valid until it is revoked.
+ */
+export const createInvite = ({
+  groupId,
+  userId,
+  expiresAt,
+  maxUses,
+  requiresApproval,
+}) =>
+  GroupInvite.create({
+    group: groupId,
+    code: crypto.randomBytes(9).toString("base64url"),
+    createdBy: userId,
+    expiresAt: expiresAt || null,
+    maxUses: maxUses || null,
+    requiresApproval: Boolean(requiresApproval),
+  });
+
+/**
+ * Why an invite can no longer be used, as `{ error, status }`, or null
+ * while it is still valid
+ */
+export const getInviteError = (invite) => {
+  if (invite.revokedAt) {
+    return { error: "This invite link has been revoked", status: 410 };
+  }
+  if (invite.expiresAt && invite.expiresAt <= new Date()) {
+    return { error: "This invite link has expired", status: 410 };
+  }
+  if (invite.maxUses !== null && invite.uses >= invite.maxUses) {
+    return {
+      error: "This invite link has reached its usage limit",
+      status: 410,
+    };
+  }
+  return null;
+};
+
+/**
+ * Add `userId` to the invite's group, counting one use of the link
+ *
+ * The use is taken atomically, so concurrent joins cannot exceed
+ * `maxUses`. Resolves to `{ group }`, or `{ error, status }` when the
+ * link ran out in the meantime or the group is gone.
+ */
+export const joinWithInvite = async (invite, userId) => {
+  const claimed = await GroupInvite.findOneAndUpdate(
+    {
+      _id: invite._id,
+      revokedAt: null,
+      $and: [
+        { $or: [{ expiresAt: null }, { expiresAt: { $gt: new Date() } }] },
+        {
+          $or: [{ maxUses: null }, { $expr: { $lt: ["$uses", "$maxUses"] } }],
+        },
+      ],
+    },
+    {
+      $inc: { uses: 1 },
+      $pull: { pendingRequests: { user: userId } },
+    },
+    { new: true }
+  );
+
+  if (!claimed) {
+    return (
+      getInviteError(await GroupInvite.findById(invite._id)) || {
+        error: "This invite link is no longer valid",
+        status: 410,
+      }
+    );
+  }
+
+  const group = await Group.findByIdAndUpdate(
+    invite.group,
+    { $addToSet: { members: userId } },
+    { new: true }
+  );
+
+  if (!group) {
+    return { error: "Group not found", status: 404 };
+  }
+
+  return { group };
+};
+
+/**
+ * Queue a join request on an invite that requires approval
+ */
+export const requestToJoin = (invite, userId) =>
+  GroupInvite.updateOne(
+    { _id: invite._id, "pendingRequests.user": { $ne: userId } },
+    { $push: { pendingRequests: { user: userId } } }
+  );
+
+export default { createInvite, getInviteError, joinWithInvite, requestToJoin };
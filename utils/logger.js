@@ -0,0 +1,69 @@
+import crypto from "crypto";
+import { AsyncLocalStorage } from "async_hooks";
+
+/**
+ * Leveled JSON logger
+ *
+ * Writes one JSON object per line: `time`, `level`, `msg`, the request ID
+ * of the current request or socket event (if any) and extra fields.
+ * LOG_LEVEL sets the minimum level (debug, info, warn, error; default
+ * info).
+ */
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+const minLevel = LEVELS[process.env.LOG_LEVEL] || LEVELS.info;
+
+const requestContext = new AsyncLocalStorage();
+
+export const createRequestId = () => crypto.randomUUID();
+
+// Run `fn` with a request ID that every log line below it will carry
+export const runWithRequestId = (requestId, fn) =>
+  requestContext.run({ requestId }, fn);
+
+export const getRequestId = () => requestContext.getStore()?.requestId;
+
+// Errors do not serialize to JSON on their own
+const serialize = (fields) => {
+  const result = {};
+  for (const [key, value] of Object.entries(fields)) {
+    result[key] =
+      value instanceof Error
+        ? {
+            name: value.name,
+            message: value.message,
+            code: value.code,
+            stack: value.stack,
+          }
+        : value;
+  }
+  return result;
+};
+
+const write = (level, msg, fields = {}) => {
+  if (LEVELS[level] < minLevel) {
+    return;
+  }
+
+  const line = JSON.stringify({
+    time: new Date().toISOString(),
+    level,
+    msg,
+    requestId: getRequestId(),
+    ...serialize(fields),
+  });
+
+  if (LEVELS[level] >= LEVELS.warn) {
+    process.stderr.write(`${line}\n`);
+  } else {
+    process.stdout.write(`${line}\n`);
+  }
+};
+
+export const logger = {
+  debug: (msg, fields) => write("debug", msg, fields),
+  info: (msg, fields) => write("info", msg, fields),
+  warn: (msg, fields) => write("warn", msg, fields),
+  error: (msg, fields) => write("error", msg, fields),
+};
+
+export default logger;
@@ -0,0 +1,368 @@
+import Message from "../models/Message.js";
+import Group from "../models/Group.js";
+import { paginateMessages } from "./pagination.js";
+import { hasGroupPermission } from "./groupPermissions.js";
+import { removeAttachment } from "./attachments.js";
+
+const validObjectIdPattern = /^[0-9a-fA-F]{24}$/;
+// One or more emoji, allowing modifiers, joiners and flags
+const emojiPattern =
+  /^(?=.*[\p{Extended_Pictographic}\p{Regional_Indicator}])(?:\p{Extended_Pictographic}|\p{Emoji_Component})+$/u;
+
+// Quoted message fields returned with each reply
+export const replyToPopulate = {
+  path: "replyTo",
+  select: "sender content messageType attachment.filename isDeleted createdAt",
+  populate: { path: "sender", select: "username avatar" },
+};
+
+export const populateMessage = async (message) => {
+  await message.populate("sender", "username avatar");
+  if (message.receiver) {
+    await message.populate("receiver", "username avatar");
+  }
+  if (message.replyTo) {
+    await message.populate(replyToPopulate);
+  }
+  return message;
+};
+
+/**
+ * Check a quoted message for a new reply
+ *
+ * The quoted message must be in the same DM or group and not deleted.
+ * Resolves to `{ replyTo, threadRoot }` or `{ error }`.
+ */
+export const resolveReplyTo = async ({
+  replyToId,
+  senderId,
+  receiverId = null,
+  groupId = null,
+}) => {
+  if (!validObjectIdPattern.test(String(replyToId))) {
+    return { error: "Invalid replyTo ID format" };
+  }
+
+  const parent = await Message.findById(replyToId).select(
+    "sender receiver group threadRoot isDeleted"
+  );
+  const notFound = { error: "Quoted message not found" };
+
+  if (!parent || parent.isDeleted) {
+    return notFound;
+  }
+
+  if (groupId || parent.group) {
+    if (parent.group?.toString() !== groupId?.toString()) {
+      return notFound;
+    }
+  } else {
+    const participants = [
+      parent.sender.toString(),
+      parent.receiver?.toString(),
+    ];
+    const sameConversation =
+      participants.includes(senderId.toString()) &&
+      participants.includes(receiverId?.toString());
+    if (!sameConversation) {
+      return notFound;
+    }
+  }
+
+  return {
+    replyTo: parent._id,
+    threadRoot: parent.threadRoot || parent._id,
+  };
+};
+
+/**
+ * Bump the reply count of a new reply's thread
+ */
+export const recordReply = async (message) => {
+  if (message.threadRoot) {
+    await Message.updateOne(
+      { _id: message.threadRoot },
+      { $inc: { replyCount: 1 } }
+    );
+  }
+};
+
+/**
+ * Load a message the user takes part in
+ *
+ * DM messages are visible to sender and receiver, group messages to group
+ * members. When `groupId` is given the message must belong to that group.
+ * Resolves to `{ message }` or `{ error, status }`.
+ */
+export const findMessageForUser = async (messageId, userId, groupId = null) => {
+  if (!validObjectIdPattern.test(String(messageId))) {
+    return { error: "Invalid message ID format", status: 400 };
+  }
+
+  const message = await Message.findById(messageId);
+  const id = userId.toString();
+  const notFound = { error: "Message not found", status: 404 };
+
+  if (!message) {
+    return notFound;
+  }
+
+  if (groupId && message.group?.toString() !== groupId.toString()) {
+    return notFound;
+  }
+
+  if (message.group) {
+    const isMember = await Group.exists({
+      _id: message.group,
+      members: userId,
+    });
+    return isMember ? { message } : notFound;
+  }
+
+  const isParticipant =
+    message.sender.toString() === id || message.receiver?.toString() === id;
+
+  return isParticipant ? { message } : notFound;
+};
+
+/**
+ * Replace a message's content, keeping the previous version in editHistory
+ */
+export const editMessage = async ({ messageId, userId, content, groupId }) => {
+  const trimmed = typeof content === "string" ? content.trim() : "";
+  if (!trimmed) {
+    return { error: "Message content is required", status: 400 };
+  }
+
+  const found = await findMessageForUser(messageId, userId, groupId);
+  if (found.error) {
+    return found;
+  }
+
+  const { message } = found;
+
+  if (message.sender.toString() !== userId.toString()) {
+    return { error: "You can only edit your own messages", status: 403 };
+  }
+
+  if (message.isDeleted) {
+    return { error: "Cannot edit a deleted message", status: 400 };
+  }
+
+  if (message.content === trimmed) {
+    return { message: await populateMessage(message) };
+  }
+
+  message.editHistory.push({
+    content: message.content,
+    editedAt: message.editedAt || message.createdAt,
+  });
+  message.content = trimmed;
+  message.editedAt = new Date();
+  await message.save();
+
+  return { message: await populateMessage(message) };
+};
+
+/**
+ * Delete a message "for me" (hide it) or "for everyone" (tombstone it)
+ */
+export const deleteMessage = async ({
+  messageId,
+  userId,
+  scope = "me",
+  groupId,
+}) => {
+  if (!["me", "everyone"].includes(scope)) {
+    return { error: "Scope must be either 'me' or 'everyone'", status: 400 };
+  }
+
+  const found = await findMessageForUser(messageId, userId, groupId);
+  if (found.error) {
+    return found;
+  }
+
+  const { message } = found;
+
+  if (scope === "me") {
+    await Message.updateOne(
+      { _id: message._id },
+      { $addToSet: { deletedFor: userId } }
+    );
+    return { message, scope };
+  }
+
+  // Group roles with the deleteMessages permission may remove anyone's
+  if (message.sender.toString() !== userId.toString()) {
+    const group = message.group && (await Group.findById(message.group));
+    if (!group || !hasGroupPermission(group, userId, "deleteMessages")) {
+      return {
+        error: "You can only delete your own messages for everyone",
+        status: 403,
+      };
+    }
+  }
+
+  if (!message.isDeleted) {
+    if (message.threadRoot) {
+      await Message.updateOne(
+        { _id: message.threadRoot, replyCount: { $gt: 0 } },
+        { $inc: { replyCount: -1 } }
+      );
+    }
+    const attachmentId = message.attachment?.file;
+    message.isDeleted = true;
+    message.deletedAt = new Date();
+    message.content = "";
+    message.attachment = null;
+    message.editHistory = [];
+    message.reactions = [];
+    await message.save();
+
+    // The file must not stay downloadable once the message is retracted
+    if (attachmentId) {
+      await removeAttachment(attachmentId);
+    }
+  }
+
+  return { message: await populateMessage(message), scope };
+};
+
+/**
+ * Add or remove the user's emoji reaction on a message
+ */
+export const reactToMessage = async ({
+  messageId,
+  userId,
+  emoji,
+  action = "add",
+}) => {
+  if (
+    typeof emoji !== "string" ||
+    emoji.length > 32 ||
+    !emojiPattern.test(emoji)
+  ) {
+    return { error: "Reaction must be an emoji", status: 400 };
+  }
+
+  const found = await findMessageForUser(messageId, userId);
+  if (found.error) {
+    return found;
+  }
+
+  if (found.message.isDeleted) {
+    return { error: "Cannot react to a deleted message", status: 400 };
+  }
+
+  const update =
+    action === "remove"
+      ? { $pull: { reactions: { user: userId, emoji } } }
+      : { $push: { reactions: { user: userId, emoji } } };
+
+  // Only push when this user has not already used this emoji
+  const filter =
+    action === "remove"
+      ? { _id: messageId }
+      : {
+          _id: messageId,
+          reactions: { $not: { $elemMatch: { user: userId, emoji } } },
+        };
+
+  await Message.updateOne(filter, update);
+
+  const message = await Message.findById(messageId).select(
+    "sender receiver group reactions"
+  );
+
+  return { message };
+};
+
+/**
+ * Load a thread: its root message plus a page of replies
+ *
+ * `messageId` may be the root or any reply in the thread.
+ */
+export const loadThread = async ({ messageId, userId, pagination }) => {
+  const found = await findMessageForUser(messageId, userId);
+  if (found.error) {
+    return found;
+  }
+
+  const rootId = found.message.threadRoot || found.message._id;
+  const root = await populateMessage(
+    found.message.threadRoot ? await Message.findById(rootId) : found.message
+  );
+
+  const page = await paginateMessages(
+    { threadRoot: rootId, deletedFor: { $ne: userId } },
+    pagination,
+    ["sender", "receiver", replyToPopulate]
+  );
+
+  if (!page) {
+    return { error: "Cursor message not found", status: 404 };
+  }
+
+  return { root, ...page };
+};
+
+/**
+ * Rooms that should hear about changes to a message
+ *
+ * Every socket joins a room named after its user ID, so DM changes reach
+ * both participants on all their connections.
+ */
+export const messageRooms = (message) => {
+  if (message.group) {
+    return [message.group.toString()];
+  }
+
+  const idOf = (ref) => (ref._id || ref).toString();
+  return [idOf(message.sender), idOf(message.receiver)];
+};
+
+/**
+ * Broadcast the result of editMessage/deleteMessage
+ */
+export const emitMessageChange = (io, event, result, userId) => {
+  const { message, scope } = result;
+
+  if (event === "message-edited") {
+    io.to(messageRooms(message)).emit("message-edited", message);
+    return;
+  }
+
+  if (event === "reaction-updated") {
+    io.to(messageRooms(message)).emit("reaction-updated", {
+      messageId: message._id,
+      group: message.group,
+      reactions: message.reactionCounts,
+    });
+    return;
+  }
+
+  const payload = {
+    messageId: message._id,
+    group: message.group ? message.group._id || message.group : null,
+    scope,
+    message: scope === "everyone" ? message : undefined,
+  };
+
+  // Deleting for yourself only concerns your own connections
+  const rooms =
+    scope === "everyone" ? messageRooms(message) : [userId.toString()];
+  io.to(rooms).emit("message-deleted", payload);
+};
+
+export default {
+  findMessageForUser,
+  editMessage,
+  deleteMessage,
+  reactToMessage,
+  resolveReplyTo,
+  recordReply,
+  loadThread,
+  populateMessage,
+  messageRooms,
+  emitMessageChange,
+};
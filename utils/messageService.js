@@ -0,0 +1,169 @@
+import Message from "../models/Message.js";
+import User from "../models/User.js";
+import Group from "../models/Group.js";
+import { resolveMessageAttachment, claimAttachment } from "./attachments.js";
+import {
+  resolveReplyTo,
+  recordReply,
+  replyToPopulate,
+} from "./messageActions.js";
+import { emitWithDeliveryAck } from "./delivery.js";
+import { isBlockedBetween } from "./blocks.js";
+import { getPermissionError } from "./groupPermissions.js";
+import { queueWebhookEvent } from "../services/webhooks/index.js";
+import { ErrorCodes } from "./errors.js";
+
+/**
+ * Sending messages, shared by the REST routes and the socket handlers
+ *
+ * Both send functions check that the sender may write to the
+ * conversation, store the message (with its attachment and thread), fan
+ * it out to connected clients and queue a `message.created` webhook
+ * event. They resolve to `{ message }` or `{ error, status, code? }`.
+ */
+
+// Resolve the attachment and reply target, then save and populate
+const createMessage = async ({
+  senderId,
+  receiverId = null,
+  groupId = null,
+  content,
+  messageType,
+  attachmentId,
+  replyTo,
+}) => {
+  let attachment = null;
+  let resolvedType = messageType || "text";
+  if (attachmentId) {
+    const resolved = await resolveMessageAttachment({
+      attachmentId,
+      senderId,
+      receiverId,
+      groupId,
+    });
+    if (resolved.error) {
+      return { error: resolved.error, status: 400 };
+    }
+    attachment = resolved.attachment;
+    resolvedType = resolved.messageType;
+  }
+
+  let thread = {};
+  if (replyTo) {
+    thread = await resolveReplyTo({
+      replyToId: replyTo,
+      senderId,
+      receiverId,
+      groupId,
+    });
+    if (thread.error) {
+      return { error: thread.error, status: 400 };
+    }
+  }
+
+  const message = new Message({
+    sender: senderId,
+    receiver: receiverId,
+    group: groupId,
+    content,
+    messageType: resolvedType,
+    attachment: attachment ? attachment.toMessageAttachment() : null,
+    replyTo: thread.replyTo || null,
+    threadRoot: thread.threadRoot || null,
+  });
+
+  await message.save();
+  if (attachment) {
+    await claimAttachment(attachment, message);
+  }
+  await recordReply(message);
+  await message.populate("sender", "username avatar");
+  if (receiverId) {
+    await message.populate("receiver", "username avatar");
+  }
+  if (message.replyTo) {
+    await message.populate(replyToPopulate);
+  }
+
+  return { message };
+};
+
+/**
+ * Send a direct message
+ *
+ * The receiver gets `receive-message` (their ack marks it delivered) and
+ * all of the sender's connections get `sent-message`.
+ */
+export const sendDirectMessage = async (
+  io,
+  { senderId, receiverId, ...fields }
+) => {
+  if (!(await User.exists({ _id: receiverId }))) {
+    return { error: "Receiver not found", status: 404 };
+  }
+
+  if (await isBlockedBetween(senderId, receiverId)) {
+    return {
+      error: "You cannot message this user",
+      status: 403,
+      code: ErrorCodes.USER_BLOCKED,
+    };
+  }
+
+  const result = await createMessage({ senderId, receiverId, ...fields });
+  if (result.error) {
+    return result;
+  }
+
+  const { message } = result;
+  emitWithDeliveryAck(io, receiverId.toString(), "receive-message", message);
+  io.to(senderId.toString()).emit("sent-message", message);
+  queueWebhookEvent(
+    "message.created",
+    { message },
+    { userIds: [senderId, receiverId] }
+  );
+
+  return { message };
+};
+
+/**
+ * Send a message to a group
+ *
+ * The sender needs the group's `post` permission. The other members get
+ * `receive-group-messsage` (their acks mark it delivered) and the event is
+ * echoed to all of the sender's connections.
+ */
+export const sendGroupMessage = async (
+  io,
+  { senderId, groupId, ...fields }
+) => {
+  const group = await Group.findById(groupId);
+  if (!group) {
+    return { error: "Group not found", status: 404 };
+  }
+
+  const permissionError = getPermissionError(group, senderId, "post");
+  if (permissionError) {
+    return permissionError;
+  }
+
+  const result = await createMessage({ senderId, groupId, ...fields });
+  if (result.error) {
+    return result;
+  }
+
+  const { message } = result;
+  emitWithDeliveryAck(
+    io,
+    groupId.toString(),
+    "receive-group-messsage",
+    message
+  );
+  io.to(senderId.toString()).emit("receive-group-messsage", message);
+  queueWebhookEvent("message.created", { message }, { groupId });
+
+  return { message };
+};
+
+export default { sendDirectMessage, sendGroupMessage };
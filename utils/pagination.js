@@ -0,0 +1,134 @@
+import Message from "../models/Message.js";
+
+// Messages are ordered by createdAt, with _id breaking ties
+const olderThan = (message) => ({
+  $or: [
+    { createdAt: { $lt: message.createdAt } },
+    { createdAt: message.createdAt, _id: { $lt: message._id } },
+  ],
+});
+
+const newerThan = (message) => ({
+  $or: [
+    { createdAt: { $gt: message.createdAt } },
+    { createdAt: message.createdAt, _id: { $gt: message._id } },
+  ],
+});
+
+// Plain paths are user references; objects are full populate options
+const withPopulate = (query, populate) => {
+  populate.forEach((path) =>
+    typeof path === "string"
+      ? query.populate(path, "username avatar")
+      : query.populate(path)
+  );
+  return query;
+};
+
+// Fetch up to `limit` messages in one direction, always returned oldest first
+const fetchPage = async (filter, range, direction, limit, populate) => {
+  if (limit <= 0) {
+    const probe = await Message.exists({ $and: [filter, range] });
+    return { page: [], hasMore: Boolean(probe) };
+  }
+
+  const docs = await withPopulate(
+    Message.find({ $and: [filter, range] })
+      .sort({ createdAt: direction, _id: direction })
+      .limit(limit + 1),
+    populate
+  );
+
+  const hasMore = docs.length > limit;
+  const page = hasMore ? docs.slice(0, limit) : docs;
+
+  return { page: direction === -1 ? page.reverse() : page, hasMore };
+};
+
+/**
+ * Load one page of a conversation's history
+ *
+ * `filter` scopes the query to a DM or group; `pagination` comes from the
+ * validatePagination middleware. Messages are always returned oldest first.
+ *
+ * - before (default): the `limit` messages older than the cursor, or the
+ *   latest ones without a cursor. `nextCursor` loads the next older page.
+ * - after: the `limit` messages newer than the cursor. `nextCursor` loads
+ *   the next newer page.
+ * - around: a window centred on the cursor message. `nextCursor` and
+ *   `olderCursor` load older pages, `newerCursor` loads newer ones.
+ *
+ * Returns null when the cursor message is not part of the conversation.
+ */
+export const paginateMessages = async (filter, pagination, populate = []) => {
+  const { limit, mode, cursor } = pagination;
+
+  let anchor = null;
+  if (cursor) {
+    anchor = await withPopulate(
+      Message.findOne({ $and: [filter, { _id: cursor }] }),
+      populate
+    );
+    if (!anchor) {
+      return null;
+    }
+  }
+
+  if (mode === "after") {
+    const { page, hasMore } = await fetchPage(
+      filter,
+      newerThan(anchor),
+      1,
+      limit,
+      populate
+    );
+    return {
+      messages: page,
+      hasMore,
+      nextCursor: hasMore ? page[page.length - 1]._id : null,
+    };
+  }
+
+  if (mode === "around") {
+    const olderLimit = Math.floor((limit - 1) / 2);
+    const older = await fetchPage(
+      filter,
+      olderThan(anchor),
+      -1,
+      olderLimit,
+      populate
+    );
+    const newer = await fetchPage(
+      filter,
+      newerThan(anchor),
+      1,
+      limit - 1 - olderLimit,
+      populate
+    );
+    const messages = [...older.page, anchor, ...newer.page];
+    const olderCursor = older.hasMore ? messages[0]._id : null;
+
+    return {
+      messages,
+      hasMore: older.hasMore,
+      nextCursor: olderCursor,
+      olderCursor,
+      newerCursor: newer.hasMore ? messages[messages.length - 1]._id : null,
+    };
+  }
+
+  const { page, hasMore } = await fetchPage(
+    filter,
+    anchor ? olderThan(anchor) : {},
+    -1,
+    limit,
+    populate
+  );
+  return {
+    messages: page,
+    hasMore,
+    nextCursor: hasMore ? page[0]._id : null,
+  };
+};
+
+export default { paginateMessages };
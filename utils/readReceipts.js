@@ -0,0 +1,131 @@
+import mongoose from "mongoose";
+import Message from "../models/Message.js";
+import Group from "../models/Group.js";
+import ReadReceipt from "../models/ReadReceipt.js";
+
+const validObjectIdPattern = /^[0-9a-fA-F]{24}$/;
+
+const toObjectId = (id) => new mongoose.Types.ObjectId(id.toString());
+
+/**
+ * Move a member's read position in a group forward
+ *
+ * Marks everything up to `messageId` as read, or the whole group when no
+ * message is given. The position never moves backwards.
+ * Resolves to `{ receipt, changed }` or `{ error, status }`.
+ */
+export const markGroupRead = async ({ groupId, userId, messageId = null }) => {
+  let target;
+
+  if (messageId) {
+    if (!validObjectIdPattern.test(String(messageId))) {
+      return { error: "Invalid message ID format", status: 400 };
+    }
+    target = await Message.findOne({ _id: messageId, group: groupId }).select(
+      "createdAt"
+    );
+    if (!target) {
+      return { error: "Message not found", status: 404 };
+    }
+  } else {
+    target = await Message.findOne({ group: groupId })
+      .sort({ createdAt: -1, _id: -1 })
+      .select("createdAt");
+  }
+
+  const lastReadAt = target ? target.createdAt : new Date();
+
+  // Only a receipt behind the new position matches. When one exists at or
+  // past it, the upsert collides with it on the unique index instead, so
+  // concurrent marks can never move the position backwards.
+  try {
+    const receipt = await ReadReceipt.findOneAndUpdate(
+      { group: groupId, user: userId, lastReadAt: { $lt: lastReadAt } },
+      { $set: { lastReadAt, lastReadMessage: target ? target._id : null } },
+      { upsert: true, new: true, setDefaultsOnInsert: true }
+    );
+    return { receipt, changed: true };
+  } catch (error) {
+    if (error.code !== 11000) {
+      throw error;
+    }
+    const receipt = await ReadReceipt.findOne({ group: groupId, user: userId });
+    return { receipt, changed: false };
+  }
+};
+
+/**
+ * List the group members who have read a message
+ */
+export const getSeenBy = async (message, group) => {
+  const receipts = await ReadReceipt.find({
+    group: group._id,
+    user: { $in: group.members, $ne: message.sender },
+    lastReadAt: { $gte: message.createdAt },
+  })
+    .populate("user", "username avatar")
+    .sort({ lastReadAt: 1 });
+
+  return {
+    seenBy: receipts.map((receipt) => ({
+      user: receipt.user,
+      readAt: receipt.lastReadAt,
+    })),
+    seenCount: receipts.length,
+    // The sender is not counted as a reader
+    memberCount: group.members.length - 1,
+  };
+};
+
+/**
+ * Unread totals per DM partner and per group
+ */
+export const getUnreadCounts = async (userId) => {
+  const me = toObjectId(userId);
+
+  const conversations = await Message.aggregate([
+    {
+      $match: {
+        receiver: me,
+        isRead: false,
+        isDeleted: { $ne: true },
+        deletedFor: { $ne: me },
+      },
+    },
+    { $group: { _id: "$sender", count: { $sum: 1 } } },
+    { $project: { _id: 0, user: "$_id", count: 1 } },
+  ]);
+
+  const groups = await Group.find({ members: me }).select("_id");
+  const receipts = await ReadReceipt.find({
+    user: me,
+    group: { $in: groups.map((group) => group._id) },
+  });
+  const readPositions = new Map(
+    receipts.map((receipt) => [receipt.group.toString(), receipt.lastReadAt])
+  );
+
+  const groupCounts = await Promise.all(
+    groups.map(async (group) => {
+      const lastReadAt = readPositions.get(group._id.toString());
+      const count = await Message.countDocuments({
+        group: group._id,
+        sender: { $ne: me },
+        isDeleted: { $ne: true },
+        deletedFor: { $ne: me },
+        ...(lastReadAt ? { createdAt: { $gt: lastReadAt } } : {}),
+      });
+      return { group: group._id, count };
+    })
+  );
+
+  const sum = (items) => items.reduce((total, item) => total + item.count, 0);
+
+  return {
+    count: sum(conversations) + sum(groupCounts),
+    conversations,
+    groups: groupCounts.filter((item) => item.count > 0),
+  };
+};
+
+export default { markGroupRead, getSeenBy, getUnreadCounts };
@@ -0,0 +1,167 @@
+import Message from "../models/Message.js";
+import Group from "../models/Group.js";
+
+const SNIPPET_LENGTH = 160;
+const SNIPPET_LEAD = 50;
+
+// Words of the query to highlight; quoted phrases stay together and
+// negated terms ("-word") are skipped, as in MongoDB's $text syntax
+const highlightTerms = (query) => {
+  const terms = [];
+  const pattern = /(-?)"([^"]+)"|(-?)(\S+)/g;
+  let match;
+
+  while ((match = pattern.exec(query))) {
+    const negated = match[1] || match[3];
+    const term = (match[2] || match[4]).replace(/"/g, "");
+    if (!negated && term) {
+      terms.push(term);
+    }
+  }
+
+  return terms;
+};
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+/**
+ * Cut a snippet of `content` around the first match of `terms`
+ *
+ * Returns `{ text, highlights }` where highlights are `[start, end]`
+ * offsets into `text`, so clients can mark them without parsing HTML.
+ */
+export const buildSnippet = (content, terms) => {
+  const matches = [];
+  if (terms.length) {
+    const pattern = new RegExp(terms.map(escapeRegExp).join("|"), "gi");
+    let match;
+    while ((match = pattern.exec(content))) {
+      matches.push([match.index, match.index + match[0].length]);
+    }
+  }
+
+  const firstMatch = matches.length ? matches[0][0] : 0;
+  const start =
+    content.length <= SNIPPET_LENGTH
+      ? 0
+      : Math.max(
+          0,
+          Math.min(firstMatch - SNIPPET_LEAD, content.length - SNIPPET_LENGTH)
+        );
+  const end = Math.min(content.length, start + SNIPPET_LENGTH);
+
+  const prefix = start > 0 ? "…" : "";
+  const suffix = end < content.length ? "…" : "";
+  const highlights = matches
+    .filter(([from, to]) => from >= start && to <= end)
+    .map(([from, to]) => [
+      from - start + prefix.length,
+      to - start + prefix.length,
+    ]);
+
+  return {
+    text: `${prefix}${content.slice(start, end)}${suffix}`,
+    highlights,
+  };
+};
+
+/**
+ * Search the content of messages in the user's conversations
+ *
+ * `group` or `partner` narrows the search to one conversation; `sender`,
+ * `from`, `to` and `type` filter further. Results are newest first, `limit`
+ * at a time; pass the returned `nextCursor` as `before` for the next page.
+ * Resolves to `{ error, status }` or `{ results, hasMore, nextCursor }`.
+ */
+export const searchMessages = async ({
+  userId,
+  q,
+  sender,
+  group,
+  partner,
+  from,
+  to,
+  type,
+  limit,
+  before,
+}) => {
+  if (group && partner) {
+    return { error: "Use only one of group or with", status: 400 };
+  }
+
+  let scope;
+  if (group) {
+    const isMember = await Group.exists({ _id: group, members: userId });
+    if (!isMember) {
+      return { error: "You are not a member of this group", status: 403 };
+    }
+    scope = { group };
+  } else if (partner) {
+    scope = {
+      $or: [
+        { sender: userId, receiver: partner },
+        { sender: partner, receiver: userId },
+      ],
+    };
+  } else {
+    const groups = await Group.find({ members: userId }).distinct("_id");
+    scope = {
+      $or: [
+        { sender: userId, group: null },
+        { receiver: userId },
+        { group: { $in: groups } },
+      ],
+    };
+  }
+
+  const filters = [scope, { isDeleted: false, deletedFor: { $ne: userId } }];
+  if (sender) {
+    filters.push({ sender });
+  }
+  if (type) {
+    filters.push({ messageType: type });
+  }
+  if (from || to) {
+    filters.push({
+      createdAt: {
+        ...(from ? { $gte: from } : {}),
+        ...(to ? { $lte: to } : {}),
+      },
+    });
+  }
+
+  if (before) {
+    const cursor = await Message.findById(before).select("createdAt");
+    if (!cursor) {
+      return { error: "Cursor message not found", status: 404 };
+    }
+    filters.push({
+      $or: [
+        { createdAt: { $lt: cursor.createdAt } },
+        { createdAt: cursor.createdAt, _id: { $lt: cursor._id } },
+      ],
+    });
+  }
+
+  const docs = await Message.find({ $text: { $search: q }, $and: filters })
+    .sort({ createdAt: -1, _id: -1 })
+    .limit(limit + 1)
+    .populate("sender", "username avatar")
+    .populate("receiver", "username avatar")
+    .populate("group", "name");
+
+  const hasMore = docs.length > limit;
+  const page = hasMore ? docs.slice(0, limit) : docs;
+  const terms = highlightTerms(q);
+
+  return {
+    results: page.map((message) => ({
+      message,
+      snippet: buildSnippet(message.content, terms),
+    })),
+    hasMore,
+    nextCursor: hasMore ? page[page.length - 1]._id : null,
+  };
+};
+
+export default { searchMessages, buildSnippet };
@@ -0,0 +1,131 @@
+import crypto from "crypto";
+import Session from "../models/Session.js";
+
+const REFRESH_TOKEN_TTL_DAYS = Number(process.env.REFRESH_TOKEN_TTL_DAYS) || 30;
+
+const hashToken = (secret) =>
+  crypto.createHash("sha256").update(secret).digest("hex");
+
+const sameHash = (a, b) =>
+  a.length === b.length &&
+  crypto.timingSafeEqual(Buffer.from(a), Buffer.from(b));
+
+// Refresh tokens look like "<sessionId>.<random secret>"
+const newRefreshToken = (sessionId) => {
+  const secret = crypto.randomBytes(48).toString("base64url");
+  return { refreshToken: `${sessionId}.${secret}`, hash: hashToken(secret) };
+};
+
+const refreshExpiry = () =>
+  new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000);
+
+// Every socket of a session joins this room so it can be disconnected
+export const sessionRoom = (sessionId) => `session:${sessionId}`;
+
+/**
+ * Start a session for a user signing in from `req`
+ *
+ * Resolves to `{ session, refreshToken }`.
+ */
+export const createSession = async (user, req) => {
+  const session = new Session({
+    user: user._id,
+    userAgent: req.get("User-Agent") || "",
+    ip: req.ip || "",
+    expiresAt: refreshExpiry(),
+  });
+  const { refreshToken, hash } = newRefreshToken(session._id);
+  session.refreshTokenHash = hash;
+  await session.save();
+
+  return { session, refreshToken };
+};
+
+/**
+ * Exchange a refresh token for a new one (rotation)
+ *
+ * Presenting an already-rotated token means it was copied, so the whole
+ * session is revoked. The swap only succeeds if the stored hash is still
+ * the presented one, so two requests racing with the same token cannot
+ * both get a new one; the loser is treated as reuse. Resolves to
+ * `{ session, refreshToken }` or `{ error }`.
+ */
+export const rotateRefreshToken = async (io, presented) => {
+  const [sessionId, secret] = String(presented || "").split(".");
+  const invalid = { error: "Invalid refresh token" };
+
+  if (!secret || !/^[0-9a-fA-F]{24}$/.test(sessionId)) {
+    return invalid;
+  }
+
+  const session = await Session.findById(sessionId);
+  if (!session || !session.isActive()) {
+    return invalid;
+  }
+
+  const presentedHash = hashToken(secret);
+  if (!sameHash(presentedHash, session.refreshTokenHash)) {
+    await revokeSession(io, session, "refresh token reuse");
+    return invalid;
+  }
+
+  const { refreshToken, hash } = newRefreshToken(session._id);
+  const rotated = await Session.findOneAndUpdate(
+    { _id: session._id, refreshTokenHash: presentedHash, revokedAt: null },
+    {
+      $set: {
+        refreshTokenHash: hash,
+        lastUsedAt: new Date(),
+        expiresAt: refreshExpiry(),
+      },
+    },
+    { new: true }
+  );
+  if (!rotated) {
+    await revokeSession(io, session, "refresh token reuse");
+    return invalid;
+  }
+
+  return { session: rotated, refreshToken };
+};
+
+/**
+ * Check that an access token's session is still usable
+ */
+export const isSessionActive = async (sessionId, userId) => {
+  if (!sessionId) {
+    return false;
+  }
+
+  const session = await Session.exists({
+    _id: sessionId,
+    user: userId,
+    revokedAt: null,
+    expiresAt: { $gt: new Date() },
+  });
+
+  return Boolean(session);
+};
+
+/**
+ * Revoke a session and disconnect its open sockets on every node
+ */
+export const revokeSession = async (io, session, reason = "revoked") => {
+  if (!session.revokedAt) {
+    session.revokedAt = new Date();
+    session.revokedReason = reason;
+    await session.save();
+  }
+
+  if (io) {
+    io.in(sessionRoom(session._id)).disconnectSockets(true);
+  }
+};
+
+export default {
+  sessionRoom,
+  createSession,
+  rotateRefreshToken,
+  isSessionActive,
+  revokeSession,
+};
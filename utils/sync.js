@@ -0,0 +1,177 @@
+import Message from "../models/Message.js";
+import Group from "../models/Group.js";
+import { replyToPopulate } from "./messageActions.js";
+
+// Most messages (and changed messages) returned per conversation
+const SYNC_LIMIT = 100;
+
+const messagePopulate = [
+  { path: "sender", select: "username avatar" },
+  { path: "receiver", select: "username avatar" },
+  replyToPopulate,
+];
+
+const dmFilter = (userId, partnerId) => ({
+  $or: [
+    { sender: userId, receiver: partnerId },
+    { sender: partnerId, receiver: userId },
+  ],
+});
+
+// The time to sync a conversation from: its last seen message, else
+// `since`. The last message may be gone for this user (e.g. deleted for
+// them on another device), so a missing one falls back to `since` too.
+const resolveCursor = async (conversation, filter, since) => {
+  if (conversation.lastMessageId) {
+    const message = await Message.findOne({
+      ...filter,
+      _id: conversation.lastMessageId,
+    }).select("createdAt");
+
+    if (message) {
+      return { cursor: message.createdAt };
+    }
+  }
+
+  const cursor = conversation.since || since;
+  if (!cursor) {
+    return {
+      error: conversation.lastMessageId
+        ? `Message ${conversation.lastMessageId} not found in this conversation and no since time was given`
+        : "A since time or lastMessageId is required",
+    };
+  }
+  return { cursor };
+};
+
+// New messages and changes (edits, deletions, reactions, receipts) to
+// older messages in one conversation
+const syncConversation = async (filter, cursor) => {
+  const [messages, changed] = await Promise.all([
+    Message.find({ ...filter, createdAt: { $gt: cursor } })
+      .sort({ createdAt: 1 })
+      .limit(SYNC_LIMIT + 1)
+      .populate(messagePopulate),
+    Message.find({
+      ...filter,
+      createdAt: { $lte: cursor },
+      updatedAt: { $gt: cursor },
+    })
+      .sort({ updatedAt: 1 })
+      .limit(SYNC_LIMIT)
+      .populate(messagePopulate),
+  ]);
+
+  const hasMore = messages.length > SYNC_LIMIT;
+  return {
+    messages: hasMore ? messages.slice(0, SYNC_LIMIT) : messages,
+    changed,
+    hasMore,
+  };
+};
+
+/**
+ * Everything a reconnecting client missed
+ *
+ * `conversations` lists what the client has open or cached, each as
+ * `{ type: "user" | "group", id, since?, lastMessageId? }`; `since` is
+ * the fallback time for entries without their own cursor and for DMs
+ * from people the client did not list. Resolves to:
+ *
+ *   conversations  per listed conversation: new `messages` (oldest
+ *                  first), `changed` older messages and `hasMore`, or
+ *                  an `error` when it has no usable cursor
+ *   newMessages    DMs from unlisted conversations since `since`
+ *   groups         `joined` (groups not listed), `left` (listed groups
+ *                  the user is no longer in) and `updated` (listed groups
+ *                  changed since their cursor)
+ *   syncedAt       time to pass as `since` next time
+ */
+export const syncMissed = async ({ userId, conversations = [], since }) => {
+  const syncedAt = new Date();
+  const hidden = { deletedFor: { $ne: userId } };
+
+  const memberGroups = await Group.find({ members: userId })
+    .populate("members", "username email")
+    .populate("admins", "username avatar");
+  const memberGroupsById = new Map(
+    memberGroups.map((group) => [group._id.toString(), group])
+  );
+
+  const listedGroupIds = new Set();
+  const listedUserIds = new Set();
+  const results = [];
+  const left = [];
+  const updated = [];
+
+  for (const conversation of conversations) {
+    const id = conversation.id.toString();
+    let filter;
+
+    if (conversation.type === "group") {
+      listedGroupIds.add(id);
+      const group = memberGroupsById.get(id);
+      if (!group) {
+        left.push(id);
+        continue;
+      }
+      filter = { group: id, ...hidden };
+    } else {
+      listedUserIds.add(id);
+      filter = { ...dmFilter(userId, id), ...hidden };
+    }
+
+    const { cursor, error } = await resolveCursor(conversation, filter, since);
+    if (error) {
+      results.push({
+        type: conversation.type,
+        id,
+        error,
+        messages: [],
+        changed: [],
+        hasMore: false,
+      });
+      continue;
+    }
+
+    if (conversation.type === "group") {
+      const group = memberGroupsById.get(id);
+      if (group.updatedAt > cursor) {
+        updated.push(group);
+      }
+    }
+
+    results.push({
+      type: conversation.type,
+      id,
+      ...(await syncConversation(filter, cursor)),
+    });
+  }
+
+  const newMessages = since
+    ? await Message.find({
+        receiver: userId,
+        sender: { $nin: [...listedUserIds] },
+        createdAt: { $gt: since },
+        ...hidden,
+      })
+        .sort({ createdAt: 1 })
+        .limit(SYNC_LIMIT)
+        .populate(messagePopulate)
+    : [];
+
+  return {
+    conversations: results,
+    newMessages,
+    groups: {
+      joined: memberGroups.filter(
+        (group) => !listedGroupIds.has(group._id.toString())
+      ),
+      left,
+      updated,
+    },
+    syncedAt,
+  };
+};
+
+export default { syncMissed };
@@ -0,0 +1,78 @@
+import crypto from "crypto";
+import User from "../models/User.js";
+import { verifyCode } from "./totp.js";
+
+const RECOVERY_CODE_COUNT = 10;
+
+const hashCode = (code) =>
+  crypto
+    .createHash("sha256")
+    .update(String(code).trim().toLowerCase())
+    .digest("hex");
+
+const TWO_FACTOR_FIELDS =
+  "+twoFactorSecret +twoFactorPendingSecret +twoFactorRecoveryCodes +twoFactorLastStep";
+
+/**
+ * Load a user together with their two-factor secrets
+ */
+export const findUserWithTwoFactor = (userId) =>
+  User.findById(userId).select(TWO_FACTOR_FIELDS);
+
+/**
+ * Create a fresh set of recovery codes
+ *
+ * Resolves to `{ codes, hashes }`: show `codes` to the user once and
+ * store only `hashes`.
+ */
+export const generateRecoveryCodes = () => {
+  const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+    const raw = crypto.randomBytes(5).toString("hex");
+    return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+  });
+  return { codes, hashes: codes.map(hashCode) };
+};
+
+/**
+ * Check a TOTP code or a recovery code for a user with 2FA enabled
+ *
+ * A TOTP code can only be used once; a recovery code is removed once used.
+ * Saves the user and resolves to true when the code is accepted.
+ */
+export const verifySecondFactor = async (user, { code, recoveryCode }) => {
+  if (!user.twoFactorEnabled || !user.twoFactorSecret) {
+    return false;
+  }
+
+  if (code) {
+    const step = verifyCode(user.twoFactorSecret, code, {
+      lastStep: user.twoFactorLastStep,
+    });
+    if (step === null) {
+      return false;
+    }
+    user.twoFactorLastStep = step;
+    await user.save();
+    return true;
+  }
+
+  if (recoveryCode) {
+    const hash = hashCode(recoveryCode);
+    if (!user.twoFactorRecoveryCodes.includes(hash)) {
+      return false;
+    }
+    user.twoFactorRecoveryCodes = user.twoFactorRecoveryCodes.filter(
+      (stored) => stored !== hash
+    );
+    await user.save();
+    return true;
+  }
+
+  return false;
+};
+
+export default {
+  findUserWithTwoFactor,
+  generateRecoveryCodes,
+  verifySecondFactor,
+};
@@ -0,0 +1,240 @@
+const validObjectIdPattern = /^[0-9a-fA-F]{24}$/;
+
+/**
+ * Declarative validation for request bodies, params, queries and socket
+ * payloads
+ *
+ * A schema maps field names to rules:
+ *
+ *   {
+ *     name: { type: "string", required: true, trim: true, minLength: 3 },
+ *     members: { type: "array", items: { type: "objectId" }, unique: true },
+ *   }
+ *
+ * Rule options:
+ *   type        string | objectId | integer | boolean | date | array |
+ *               object
+ *   required    reject a missing value
+ *   requiredUnless
+ *               name of another field; the value is required when that
+ *               field is missing
+ *   default     value used when the field is missing
+ *   label       name used in error messages (defaults to the field name)
+ *   messages    per-check overrides, e.g. { required: "..." }
+ *   string:     trim, lowercase, minLength, maxLength, pattern, enum,
+ *               allowEmpty (keep a blank value as "", e.g. to clear a
+ *               field, instead of treating it as missing)
+ *   integer:    min, max (numeric strings are converted)
+ *   date:       ISO 8601 strings and timestamps, converted to a Date
+ *   array:      items (rule), minItems, maxItems, unique
+ *   object:     properties (schema)
+ *
+ * Blank strings (after trimming) count as missing. Fields not in the
+ * schema are dropped from the result.
+ */
+
+const isMissing = (value) =>
+  value === undefined || value === null || value === "";
+
+const checkString = (rule, value, fail) => {
+  if (typeof value !== "string") {
+    return fail("type", "must be a string");
+  }
+
+  let result = rule.trim ? value.trim() : value;
+  if (rule.lowercase) {
+    result = result.toLowerCase();
+  }
+
+  if (rule.minLength !== undefined && result.length < rule.minLength) {
+    return fail("minLength", `must be at least ${rule.minLength} characters`);
+  }
+  if (rule.maxLength !== undefined && result.length > rule.maxLength) {
+    return fail("maxLength", `must not exceed ${rule.maxLength} characters`);
+  }
+  if (rule.enum && !rule.enum.includes(result)) {
+    return fail("enum", `must be one of: ${rule.enum.join(", ")}`);
+  }
+  if (rule.pattern && !rule.pattern.test(result)) {
+    return fail("pattern", "has an invalid format");
+  }
+
+  return { value: result };
+};
+
+const checkObjectId = (rule, value, fail) => {
+  if (typeof value !== "string" || !validObjectIdPattern.test(value)) {
+    return fail("type", "has an invalid format");
+  }
+  return { value };
+};
+
+const checkInteger = (rule, value, fail) => {
+  const number = typeof value === "string" ? Number(value) : value;
+
+  if (!Number.isInteger(number)) {
+    return fail("type", "must be an integer");
+  }
+  if (rule.min !== undefined && number < rule.min) {
+    return fail("min", `must be at least ${rule.min}`);
+  }
+  if (rule.max !== undefined && number > rule.max) {
+    return fail("max", `must be at most ${rule.max}`);
+  }
+
+  return { value: number };
+};
+
+const checkBoolean = (rule, value, fail) => {
+  if (value === true || value === "true") {
+    return { value: true };
+  }
+  if (value === false || value === "false") {
+    return { value: false };
+  }
+  return fail("type", "must be true or false");
+};
+
+const checkDate = (rule, value, fail) => {
+  const date =
+    typeof value === "string" || typeof value === "number"
+      ? new Date(value)
+      : null;
+
+  if (!date || Number.isNaN(date.getTime())) {
+    return fail("type", "must be a valid date");
+  }
+  return { value: date };
+};
+
+const checkArray = (rule, value, fail, field, errors) => {
+  if (!Array.isArray(value)) {
+    return fail("type", "must be an array");
+  }
+
+  if (rule.minItems !== undefined && value.length < rule.minItems) {
+    return fail("minItems", `must contain at least ${rule.minItems} item(s)`);
+  }
+  if (rule.maxItems !== undefined && value.length > rule.maxItems) {
+    return fail(
+      "maxItems",
+      `must not contain more than ${rule.maxItems} items`
+    );
+  }
+
+  const items = value.map((item, index) =>
+    rule.items
+      ? checkField(rule.items, item, `${field}[${index}]`, errors).value
+      : item
+  );
+
+  if (rule.unique && new Set(items.map(String)).size !== items.length) {
+    return fail("unique", "must not contain duplicates");
+  }
+
+  return { value: items };
+};
+
+const checkObject = (rule, value, fail, field, errors) => {
+  // Array items skip the missing check, so null can reach this point
+  if (typeof value !== "object" || value === null || Array.isArray(value)) {
+    return fail("type", "must be an object");
+  }
+  if (!rule.properties) {
+    return { value };
+  }
+  return { value: validateFields(rule.properties, value, errors, `${field}.`) };
+};
+
+const checkers = {
+  string: checkString,
+  objectId: checkObjectId,
+  integer: checkInteger,
+  boolean: checkBoolean,
+  date: checkDate,
+  array: checkArray,
+  object: checkObject,
+};
+
+// Validate one present value, recording failures in `errors`
+const checkField = (rule, value, field, errors) => {
+  const fail = (check, message) => {
+    errors[field] =
+      rule.messages?.[check] || `${rule.label || field} ${message}`;
+    return { value: undefined };
+  };
+
+  const check = checkers[rule.type];
+  if (!check) {
+    throw new Error(`Unknown validation type "${rule.type}" for ${field}`);
+  }
+
+  return check(rule, value, fail, field, errors);
+};
+
+const validateFields = (schema, input, errors, prefix = "") => {
+  const result = {};
+
+  for (const [name, rule] of Object.entries(schema)) {
+    const field = `${prefix}${name}`;
+    let value = input[name];
+
+    if (typeof value === "string" && rule.trim && !value.trim()) {
+      value = "";
+    }
+
+    if (value === "" && rule.allowEmpty) {
+      result[name] = "";
+      continue;
+    }
+
+    if (isMissing(value)) {
+      const required =
+        rule.required ||
+        (rule.requiredUnless && isMissing(input[rule.requiredUnless]));
+
+      if (required) {
+        errors[field] =
+          rule.messages?.required || `${rule.label || field} is required`;
+      } else if (rule.default !== undefined) {
+        result[name] = rule.default;
+      }
+      continue;
+    }
+
+    const checked = checkField(rule, value, field, errors);
+    if (!(field in errors)) {
+      result[name] = checked.value;
+    }
+  }
+
+  return result;
+};
+
+/**
+ * Validate `input` against `schema`
+ *
+ * Returns `{ value }` with converted values on success, or
+ * `{ error, fields }` where `fields` maps each invalid field to its
+ * message and `error` is the first of them.
+ */
+export const validateSchema = (schema, input) => {
+  if (input === undefined || input === null) {
+    input = {};
+  }
+  if (typeof input !== "object" || Array.isArray(input)) {
+    return { error: "Payload must be an object", fields: {} };
+  }
+
+  const errors = {};
+  const value = validateFields(schema, input, errors);
+
+  const messages = Object.values(errors);
+  if (messages.length) {
+    return { error: messages[0], fields: errors };
+  }
+
+  return { value };
+};
+
+export default { validateSchema };